@@ -9,6 +9,10 @@ import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 // console.log('✓ userRoutes loaded:', typeof userRoutes);
 import sessionRoutes from "./routes/sessionRoutes.js";
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
+import oidcRoutes from './routes/oidcRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import invitationRoutes from './routes/invitationRoutes.js';
 
 
 const app = express();
@@ -32,6 +36,10 @@ app.get('/', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use("/api/sessions", sessionRoutes);
+app.use('/.well-known', wellKnownRoutes);
+app.use('/oauth', oidcRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/invitations', invitationRoutes);
 
 
 export default app;
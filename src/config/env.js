@@ -1,6 +1,31 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Parse a JSON object from an env variable (returns {} when unset or invalid)
+ */
+function parseJsonEnv(name) {
+  if (!process.env[name]) return {};
+  try {
+    return JSON.parse(process.env[name]);
+  } catch {
+    console.error(`${name} is not valid JSON - ignoring`);
+    return {};
+  }
+}
+
+/**
+ * Merge per-purpose OTP overrides into the built-in purposes
+ */
+function mergeOtpPurposes(defaults, overrides) {
+  const merged = { ...defaults };
+  for (const [purpose, settings] of Object.entries(overrides)) {
+    const key = purpose.toUpperCase();
+    merged[key] = { ...merged[key], ...settings };
+  }
+  return merged;
+}
+
 export const config = {
   port: process.env.PORT || 3000,
 
@@ -12,17 +37,247 @@ export const config = {
     password: process.env.PGPASSWORD,
   },
 
+  // Access tokens are signed with asymmetric keys from the jwt_signing_keys keystore and
+  // published at /.well-known/jwks.json. JWT_SECRET is still the root secret for the
+  // HMAC / encryption keys below that don't have their own setting.
   jwt: {
     secret: process.env.JWT_SECRET,
-    expiresIn: process.env.JWT_EXPIRES_IN || '8h',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m', // short-lived access token
+    algorithm: process.env.JWT_ALGORITHM || 'RS256', // RS256, ES256
+    keyEncryptionKey: process.env.JWT_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET, // private keys at rest
+    rotationDays: Number(process.env.JWT_KEY_ROTATION_DAYS || 30), // how long a key signs tokens
+    prePublishMinutes: Number(process.env.JWT_KEY_PREPUBLISH_MINUTES || 60), // next key in JWKS before use
+    retiredKeyTtlHours: Number(process.env.JWT_RETIRED_KEY_TTL_HOURS || 24), // retired key still verifies
+    keyCacheSeconds: Number(process.env.JWT_KEY_CACHE_SECONDS || 60),
+    rotationCheckMinutes: Number(process.env.JWT_KEY_ROTATION_CHECK_MINUTES || 15),
+  },
+
+  refreshToken: {
+    ttlHours: Number(process.env.REFRESH_TOKEN_TTL_HOURS || 24),
   },
 
   otp: {
     ttlMinutes: Number(process.env.OTP_TTL_MINUTES || 10),
+    length: Number(process.env.OTP_LENGTH || 4),
+    maxAttempts: Number(process.env.OTP_MAX_ATTEMPTS || 3),
+    hashSecret: process.env.OTP_HASH_SECRET || process.env.JWT_SECRET, // HMAC key for stored OTP hashes
+    // Only ever echoed back in development, and even then can be switched off
+    exposeInResponse:
+      process.env.NODE_ENV === 'development' && process.env.OTP_EXPOSE_IN_RESPONSE !== 'false',
+    // Per-purpose settings (length, ttlMinutes, maxAttempts, channels, label) - anything
+    // missing falls back to the values above. OTP_PURPOSES (JSON) overrides or adds purposes.
+    purposes: mergeOtpPurposes(
+      {
+        LOGIN: { channels: ['sms', 'email'], label: 'login' },
+        PASSWORD_RESET: { length: 6, ttlMinutes: 10, channels: ['sms'], label: 'password reset' },
+        VERIFICATION: { channels: ['sms', 'email'], label: 'verification' },
+        REAUTHENTICATION: { channels: ['sms', 'email'], label: 'confirmation' },
+        INVITATION: { channels: ['sms'], label: 'phone verification' },
+      },
+      parseJsonEnv('OTP_PURPOSES')
+    ),
+  },
+
+  totp: {
+    issuer: process.env.TOTP_ISSUER || 'Backend Global Use',
+    window: Number(process.env.TOTP_WINDOW || 1), // accepted clock drift in 30s steps
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET, // secrets are encrypted at rest
+  },
+
+  recoveryCodes: {
+    count: Number(process.env.RECOVERY_CODE_COUNT || 10),
+  },
+
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Backend Global Use',
+    rpId: process.env.WEBAUTHN_RP_ID || 'localhost', // domain of the frontend, no scheme/port
+    origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:3000').split(',').map((o) => o.trim()),
+    challengeTtlMinutes: Number(process.env.WEBAUTHN_CHALLENGE_TTL_MINUTES || 5),
+    userVerification: process.env.WEBAUTHN_USER_VERIFICATION || 'preferred', // required, preferred, discouraged
+  },
+
+  // Signed single-use links sent by email. baseUrl is the frontend that receives the link and
+  // posts the token back to the API.
+  emailLinks: {
+    baseUrl: process.env.APP_BASE_URL || 'http://localhost:3000',
+    secret: process.env.EMAIL_LINK_SECRET || process.env.JWT_SECRET,
+    magicLink: {
+      ttlMinutes: Number(process.env.MAGIC_LINK_TTL_MINUTES || 15),
+      path: process.env.MAGIC_LINK_PATH || '/magic-link',
+    },
+    passwordReset: {
+      ttlMinutes: Number(process.env.PASSWORD_RESET_LINK_TTL_MINUTES || 30),
+      path: process.env.PASSWORD_RESET_LINK_PATH || '/reset-password',
+    },
+    loginAlert: {
+      ttlMinutes: Number(process.env.LOGIN_ALERT_LINK_TTL_MINUTES || 72 * 60), // "this wasn't me" link
+      path: process.env.LOGIN_ALERT_LINK_PATH || '/not-me',
+    },
+  },
+
+  // Alert users when they log in from a device or IP range (/24, /48) not seen in their
+  // sessions of the last historyDays
+  loginAlerts: {
+    enabled: process.env.LOGIN_ALERTS_ENABLED !== 'false',
+    historyDays: Number(process.env.LOGIN_ALERT_HISTORY_DAYS || 90),
+  },
+
+  // OpenID Connect provider. /oauth/authorize sends the browser to loginUrl (a frontend page)
+  // which runs the normal login and then completes the authorization request.
+  oidc: {
+    issuer: process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}`,
+    loginUrl: process.env.OIDC_LOGIN_URL || 'http://localhost:3000/oidc/login',
+    authorizationTtlMinutes: Number(process.env.OIDC_AUTHORIZATION_TTL_MINUTES || 10), // login must finish in time
+    codeTtlSeconds: Number(process.env.OIDC_CODE_TTL_SECONDS || 60),
+    idTokenExpiresIn: process.env.OIDC_ID_TOKEN_EXPIRES_IN || '15m',
+    scopes: ['openid', 'profile', 'email', 'phone'],
+  },
+
+  // Login through external OpenID Connect identity providers. FEDERATION_PROVIDERS (JSON) maps a
+  // provider name to { issuer, clientId, clientSecret, label?, scopes?, allowedDomains?,
+  // trustUnverifiedEmail?, authorizationEndpoint?, tokenEndpoint?, jwksUri? } - the endpoints
+  // default to the issuer's discovery document. The IdP redirects back to the API, which sends the
+  // browser on to completeUrl (a frontend page) with a one-time login ticket.
+  federation: {
+    providers: parseJsonEnv('FEDERATION_PROVIDERS'),
+    completeUrl: process.env.FEDERATION_COMPLETE_URL || 'http://localhost:3000/login/federated',
+    stateTtlMinutes: Number(process.env.FEDERATION_STATE_TTL_MINUTES || 10), // IdP login must finish in time
+    ticketTtlSeconds: Number(process.env.FEDERATION_TICKET_TTL_SECONDS || 60),
+  },
+
+  // Final login needs the ticket from the password check (validate-credentials) - it must cover
+  // reading the OTP or authenticator code
+  passwordTickets: {
+    ttlMinutes: Number(process.env.PASSWORD_TICKET_TTL_MINUTES || 10),
+  },
+
+  // "Remember this device": a trusted device skips the OTP step after the password
+  trustedDevices: {
+    ttlDays: Number(process.env.TRUSTED_DEVICE_TTL_DAYS || 30),
+    maxPerUser: Number(process.env.TRUSTED_DEVICE_MAX_PER_USER || 10),
+  },
+
+  // Authentication factor policy per role. Factors: otp (SMS/email), totp (authenticator app),
+  // recovery_code (backup codes from TOTP enrolment), webauthn (passkey login), magic_link (emailed
+  // login link), federated (external IdP), trusted_device (remembered device - leave it out of a
+  // role's allowed list to always ask for a code).
+  // allowed  - factors accepted at login
+  // required - if set, one of these must be used once the user has enrolled it
+  mfa: {
+    defaultPolicy: {
+      allowed: ['otp', 'totp', 'recovery_code', 'webauthn', 'magic_link', 'federated', 'trusted_device'],
+      required: [],
+    },
+    rolePolicies: parseJsonEnv('MFA_ROLE_POLICIES'), // e.g. {"ADMIN":{"allowed":["totp","recovery_code"],"required":["totp"]}}
+  },
+
+  // Sensitive operations (password change, TOTP / passkey enrolment, new recovery codes,
+  // deactivation, role changes, creating admins) need a login or re-authentication (POST /api/auth/reauthenticate) within
+  // maxAgeMinutes
+  stepUp: {
+    maxAgeMinutes: Number(process.env.STEP_UP_MAX_AGE_MINUTES || 5),
+  },
+
+  // Admin "log in as user" sessions end after ttlMinutes (no extension on refresh)
+  impersonation: {
+    ttlMinutes: Number(process.env.IMPERSONATION_TTL_MINUTES || 30),
+  },
+
+  // API keys for machine integrations (X-API-Key header)
+  apiKeys: {
+    defaultTtlDays: Number(process.env.API_KEY_DEFAULT_TTL_DAYS || 365), // 0 = never expires
+    usageUpdateSeconds: Number(process.env.API_KEY_USAGE_UPDATE_SECONDS || 60), // last_used_at granularity
   },
 
   session: {
     ttlHours: Number(process.env.SESSION_TTL_HOURS || 8),
+    idleTimeoutMinutes: Number(process.env.SESSION_IDLE_TIMEOUT_MINUTES || 120), // 0 disables
+    cacheTtlSeconds: Number(process.env.SESSION_CACHE_TTL_SECONDS || 30),
+    activityUpdateSeconds: Number(process.env.SESSION_ACTIVITY_UPDATE_SECONDS || 60),
+  },
+
+  // Failed login attempts (wrong password / second factor) are counted per user and per IP.
+  // Each failure doubles the wait before the next attempt; reaching the max locks the account
+  // (or blocks the IP) until the lockout expires or an admin unlocks it.
+  bruteForce: {
+    failureWindowMinutes: Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15),
+    maxUserFailures: Number(process.env.LOGIN_MAX_USER_FAILURES || 5),
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES || 15),
+    maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES || 20),
+    ipBlockMinutes: Number(process.env.LOGIN_IP_BLOCK_MINUTES || 15),
+    baseDelayMs: Number(process.env.LOGIN_BASE_DELAY_MS || 1000),
+    maxDelayMs: Number(process.env.LOGIN_MAX_DELAY_MS || 30000),
+  },
+
+  // OTP / login-link sends allowed per phone number, email and IP within the window
+  // (SMS pumping and mailbox flooding protection)
+  otpSendQuota: {
+    perPhone: Number(process.env.OTP_SEND_QUOTA_PER_PHONE || 5),
+    perEmail: Number(process.env.OTP_SEND_QUOTA_PER_EMAIL || 5),
+    perIp: Number(process.env.OTP_SEND_QUOTA_PER_IP || 20),
+    windowMinutes: Number(process.env.OTP_SEND_QUOTA_WINDOW_MINUTES || 60),
+  },
+
+  password: {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt', // bcrypt, scrypt
+    bcryptRounds: Number(process.env.BCRYPT_ROUNDS || 10),
+    scrypt: {
+      cost: Number(process.env.SCRYPT_COST || 16384),
+      blockSize: Number(process.env.SCRYPT_BLOCK_SIZE || 8),
+      parallelization: Number(process.env.SCRYPT_PARALLELIZATION || 1),
+    },
+  },
+
+  // Rules for new passwords (registration, change, OTP / email reset). A school's entry in
+  // schoolPolicies overrides individual fields of the default policy.
+  // historyCount - how many previous passwords may not be reused (0 disables)
+  // maxAgeDays   - passwords older than this must be changed at next login (0 = never expire)
+  // breachedPasswordCheck - reject / warn / off for passwords found in breachedPasswords.datasetPath
+  passwordPolicy: {
+    defaultPolicy: {
+      minLength: Number(process.env.PASSWORD_MIN_LENGTH || 8),
+      maxLength: Number(process.env.PASSWORD_MAX_LENGTH || 128),
+      requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+      requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+      requireDigit: process.env.PASSWORD_REQUIRE_DIGIT === 'true',
+      requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+      disallowPersonalInfo: process.env.PASSWORD_DISALLOW_PERSONAL_INFO !== 'false', // name, username, email, phone
+      historyCount: Number(process.env.PASSWORD_HISTORY_COUNT || 5),
+      maxAgeDays: Number(process.env.PASSWORD_MAX_AGE_DAYS || 0),
+      breachedPasswordCheck: process.env.PASSWORD_BREACHED_CHECK || 'reject',
+    },
+    schoolPolicies: parseJsonEnv('PASSWORD_SCHOOL_POLICIES'), // e.g. {"<school_id>":{"minLength":12,"maxAgeDays":90}}
+  },
+
+  // Accounts created by staff (POST /api/users/register) get a temporary password that must be
+  // changed at first login. Until then a login only gets a restricted session of
+  // restrictedSessionMinutes whose token is accepted by the change-password call alone
+  // (the same applies to passwords past the policy's maxAgeDays).
+  temporaryPasswords: {
+    length: Number(process.env.TEMP_PASSWORD_LENGTH || 12),
+    restrictedSessionMinutes: Number(process.env.PASSWORD_CHANGE_SESSION_MINUTES || 15),
+  },
+
+  // Invitations: staff invite parents / staff, who accept through a link
+  // (<emailLinks.baseUrl><path>?token=...), verify their phone by OTP and choose a password
+  invitations: {
+    ttlDays: Number(process.env.INVITATION_TTL_DAYS || 7),
+    path: process.env.INVITATION_LINK_PATH || '/accept-invite',
+    maxBulk: Number(process.env.INVITATION_MAX_BULK || 100), // invitations per bulk request
+    // Every sent or resent invitation is an SMS / email - cap them per inviter
+    sendQuota: {
+      perInviter: Number(process.env.INVITATION_SEND_QUOTA_PER_INVITER || 200),
+      windowMinutes: Number(process.env.INVITATION_SEND_QUOTA_WINDOW_MINUTES || 60),
+    },
+  },
+
+  // Offline breached-password corpus (Have I Been Pwned "ordered by hash" file, <SHA-1>:<count>
+  // per line). A prefix index is built next to it on startup. Unset = no screening.
+  breachedPasswords: {
+    datasetPath: process.env.BREACHED_PASSWORDS_FILE || null,
+    indexPath: process.env.BREACHED_PASSWORDS_INDEX || null, // default <datasetPath>.idx
+    minOccurrences: Number(process.env.BREACHED_PASSWORDS_MIN_OCCURRENCES || 1),
+    retryMinutes: Number(process.env.BREACHED_PASSWORDS_RETRY_MINUTES || 10), // after a failed index build
   },
 
   timezone: process.env.TIMEZONE || 'Asia/Kolkata', // Default timezone for date operations
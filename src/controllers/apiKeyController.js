@@ -0,0 +1,70 @@
+import { API_KEY_SCOPES, createApiKey, listApiKeys, revokeApiKey } from '../services/apiKeyService.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+/**
+ * POST /api/api-keys - body { name, school_id, scopes, expires_in_days? }
+ */
+export async function issueApiKey(req, res) {
+  try {
+    const { name, school_id, scopes, expires_in_days } = req.body || {};
+
+    if (!name || !school_id || !Array.isArray(scopes) || !scopes.length) {
+      return errorResponse(res, 400, 'name, school_id and scopes (array) are required');
+    }
+
+    const knownScopes = Object.values(API_KEY_SCOPES);
+    const unknown = scopes.filter((s) => !knownScopes.includes(s));
+    if (unknown.length) {
+      return errorResponse(res, 400, `Unsupported scopes: ${unknown.join(', ')}`);
+    }
+
+    if (expires_in_days !== undefined && (!Number.isInteger(expires_in_days) || expires_in_days < 0)) {
+      return errorResponse(res, 400, 'expires_in_days must be a whole number of days (0 = never expires)');
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      schoolId: school_id,
+      scopes,
+      expiresInDays: expires_in_days,
+      createdBy: req.user.user_id,
+    });
+
+    return successResponse(res, 201, 'API key issued. Store the key now - it is not shown again', {
+      api_key: apiKey,
+      key,
+    });
+  } catch (err) {
+    console.error('API key issue error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * GET /api/api-keys?school_id=
+ */
+export async function getApiKeys(req, res) {
+  try {
+    const apiKeys = await listApiKeys({ schoolId: req.query.school_id });
+    return successResponse(res, 200, 'API keys', { api_keys: apiKeys, scopes: Object.values(API_KEY_SCOPES) });
+  } catch (err) {
+    console.error('API key list error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * DELETE /api/api-keys/:keyId - revokes the key
+ */
+export async function removeApiKey(req, res) {
+  try {
+    const revoked = await revokeApiKey(req.params.keyId, req.user.user_id);
+    if (!revoked) {
+      return errorResponse(res, 404, 'API key not found or already revoked');
+    }
+    return successResponse(res, 200, 'API key revoked');
+  } catch (err) {
+    console.error('API key revoke error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
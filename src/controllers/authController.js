@@ -1,66 +1,252 @@
-import bcrypt from 'bcrypt';
-import { findUserByEmailAndRole, findUserByMobileAndRole } from '../services/userService.js';
+import {
+  findUserByEmailAndRole,
+  findUserById,
+  findUserByMobileAndRole,
+  updateUserPasswordHash,
+  isUserActive,
+} from '../services/userService.js';
 import { createOtpForUser, verifyUserOtp } from '../services/otpService.js';
-import { createSessionForUser } from '../services/sessionService.js';
-import { signJwt } from '../utils/jwt.js';
+import { isTotpEnabled, verifyUserTotp } from '../services/totpService.js';
+import { FACTORS, checkLoginFactor } from '../services/mfaService.js';
+import { consumeRecoveryCode, countRemainingRecoveryCodes } from '../services/recoveryCodeService.js';
+import { createLoginSession } from '../services/sessionService.js';
+import { getDeviceFingerprint, trustDevice, verifyTrustedDevice } from '../services/trustedDeviceService.js';
+import { alertIfUnfamiliarLogin } from '../services/loginAlertService.js';
+import { getRequiredPasswordChange } from '../services/passwordPolicyService.js';
+import { consumePasswordTicket, issuePasswordTicket, verifyPasswordTicket } from '../services/passwordTicketService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  consumeOtpSendQuota,
+} from '../services/throttleService.js';
+import { verifyPassword, hashPassword, needsRehash } from '../utils/password.js';
 import { getClientInfo } from '../utils/request.js';
-import { successResponse, errorResponse } from '../utils/response.js';
+import { successResponse, errorResponse, tooManyRequestsResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
 
 /**
- * Helper: Check if user is active
+ * Helper: Upgrade legacy or weaker password hashes after a successful login
  */
-function isUserActive(user) {
-  return user && String(user.is_active).trim() === 'true';
+async function upgradePasswordHashIfNeeded(user, plainPassword) {
+  if (!needsRehash(user.password_hash)) return;
+
+  try {
+    const newHash = await hashPassword(plainPassword);
+    await updateUserPasswordHash(user.user_id, newHash);
+  } catch (error) {
+    // Don't block login if the upgrade fails - it will be retried next time
+    console.error('Password rehash error:', error);
+  }
 }
 
 /**
- * Helper: Verify password (supports both bcrypt hash and plain text for backward compatibility)
+ * Helper: login with a temporary or expired password. The session is short-lived and its token
+ * (password_change_required claim) is only accepted by PATCH /api/users/:id/change-password.
  */
-async function verifyPassword(plainPassword, hashedPassword) {
-  // Try bcrypt comparison first (if hash starts with $2b$ or similar)
-  if (hashedPassword && (hashedPassword.startsWith('$2a$') || hashedPassword.startsWith('$2b$') || hashedPassword.startsWith('$2y$'))) {
-    try {
-      return await bcrypt.compare(plainPassword, hashedPassword);
-    } catch (error) {
-      console.error('Bcrypt comparison error:', error);
-      return false;
-    }
+async function sendPasswordChangeLogin(req, res, user, reason, extra = {}) {
+  const loginSession = await createLoginSession(user, {
+    ...getClientInfo(req),
+    claims: { password_change_required: true },
+    ttlMinutes: config.temporaryPasswords.restrictedSessionMinutes,
+  });
+
+  return sendLoginSuccess(res, user, loginSession, {
+    ...extra,
+    password_change_required: true,
+    password_change_reason: reason,
+  });
+}
+
+/**
+ * Helper: Finish a login (shared by every login method) - alerts the user about a new device /
+ * network, then creates a restricted session when the password is temporary or expired (see
+ * sendPasswordChangeLogin), otherwise a full one
+ * rememberDevice - { fingerprint, userAgent, ip } to also trust the device (full sessions only)
+ */
+async function sendLoginSession(req, res, user, extra = {}, { rememberDevice = null } = {}) {
+  // Checked before this session exists, so it doesn't count as a known device
+  await alertIfUnfamiliarLogin(user, getClientInfo(req));
+
+  const passwordChange = await getRequiredPasswordChange(user.user_id);
+  if (passwordChange) {
+    return sendPasswordChangeLogin(req, res, user, passwordChange, extra);
+  }
+
+  const loginSession = await createLoginSession(user, getClientInfo(req));
+  const trustedDevice = rememberDevice ? await trustDevice(user.user_id, rememberDevice) : null;
+
+  return sendLoginSuccess(res, user, loginSession, {
+    ...extra,
+    ...(trustedDevice && {
+      trusted_device_token: trustedDevice.token,
+      trusted_device_expires_at: trustedDevice.device.expires_at,
+    }),
+  });
+}
+
+/**
+ * Helper: Send the standard login success payload (shared by every login method)
+ */
+export function sendLoginSuccess(res, user, loginSession, extra = {}) {
+  return successResponse(res, 200, 'Login successful', {
+    session_id: loginSession.sessionId,
+    user_id: user.user_id,
+    token: loginSession.token,
+    refresh_token: loginSession.refreshToken,
+    refresh_expiry: loginSession.refreshExpiresAt,
+    expiry: loginSession.expiresAt,
+    role: user.role,
+    email: user.email,
+    session_status: loginSession.dbRow.is_active,
+    ...extra,
+  });
+}
+
+/**
+ * Helper: Finish a one-step login (magic link, passkey, federated) once its proof has been verified:
+ * the lock, account and MFA policy checks of final login, then sendLoginSession
+ * role - reject the login when given and the user has another role
+ * label - names the method in the rejection message; extra - added to the response
+ */
+export async function sendOneStepLogin(req, res, userId, factor, { role, label, extra = {} } = {}) {
+  // A locked account stays locked whichever login method is used
+  const userGate = await checkLoginAllowed({ userId });
+  if (!userGate.allowed) {
+    return sendThrottled(res, userGate);
+  }
+
+  // Re-check the account - it may have been deactivated since the proof was issued
+  const user = await findUserById(userId);
+  if (!isUserActive(user) || (role && role !== user.role)) {
+    return errorResponse(res, 401, 'Invalid user credentials');
+  }
+
+  const enrolledFactors = [FACTORS.OTP, factor];
+  if (await isTotpEnabled(user.user_id)) enrolledFactors.push(FACTORS.TOTP);
+
+  const factorCheck = checkLoginFactor(user.role, factor, enrolledFactors);
+  if (!factorCheck.ok) {
+    return errorResponse(res, 401, `${label} login rejected: ${factorCheck.reason}`);
   }
-  
-  // Fallback to plain text comparison (for backward compatibility)
-  return plainPassword === hashedPassword;
+
+  await recordLoginSuccess({ userId: user.user_id });
+
+  return sendLoginSession(req, res, user, {
+    second_factor: factor,
+    ...extra,
+    mfa_enrollment_required: factorCheck.enrollmentRequired,
+  });
+}
+
+/**
+ * Helper: 429 for a throttled login attempt or OTP send (shared by every login method)
+ */
+export function sendThrottled(res, { reason, retryAfterSeconds }) {
+  let message = 'Too many failed attempts. Try again later';
+  if (reason === 'account_locked') {
+    message = 'Account temporarily locked due to too many failed attempts. Try again later';
+  } else if (reason === 'email_quota_exceeded') {
+    message = 'Too many login link requests. Try again later';
+  } else if (reason === 'invitation_quota_exceeded') {
+    message = 'Too many invitations sent. Try again later';
+  } else if (reason?.endsWith('_quota_exceeded')) {
+    message = 'Too many OTP requests. Try again later';
+  }
+
+  return tooManyRequestsResponse(res, message, retryAfterSeconds);
 }
 
 /**
  * STEP 1: Credential Validation (Email + Password)
- * Validates user credentials and sends OTP
+ * Validates user credentials and sends OTP (skipped when the user logs in with TOTP).
+ * Returns a password_ticket that final login requires alongside the second factor.
  */
 export async function validateCredentials(req, res) {
   try {
-    const { email, password, role, login_type } = req.body;
+    const { email, password, role, login_type, second_factor, trusted_device_token, device_fingerprint } = req.body;
+    const { ip, userAgent } = getClientInfo(req);
 
     // Find user by email and role
     const user = await findUserByEmailAndRole(email, role);
 
+    // Locked account / blocked IP / progressive delay
+    const gate = await checkLoginAllowed({ userId: user?.user_id, ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+
     // Validate user exists and is active
     if (!isUserActive(user)) {
+      await recordLoginFailure({ ip });
       return errorResponse(res, 401, 'Invalid user credentials');
     }
 
     // Verify password
     const isValidPassword = await verifyPassword(password, user.password_hash);
     if (!isValidPassword) {
+      await recordLoginFailure({ userId: user.user_id, ip });
       return errorResponse(res, 401, 'Invalid user credentials');
     }
 
+    // Transparently move legacy hashes to the current format
+    await upgradePasswordHashIfNeeded(user, password);
+
+    const totpEnabled = await isTotpEnabled(user.user_id);
+    const enrolledFactors = totpEnabled ? [FACTORS.OTP, FACTORS.TOTP] : [FACTORS.OTP];
+
+    // Remembered device: the password is enough (unless the role's MFA policy says otherwise).
+    // An invalid token just falls through to the normal second-factor step.
+    if (trusted_device_token) {
+      const fingerprint = getDeviceFingerprint(device_fingerprint, userAgent);
+      const trusted = await verifyTrustedDevice(user.user_id, trusted_device_token, fingerprint);
+      const factorCheck = checkLoginFactor(user.role, FACTORS.TRUSTED_DEVICE, [
+        ...enrolledFactors,
+        ...(trusted.valid ? [FACTORS.TRUSTED_DEVICE] : []),
+      ]);
+
+      if (trusted.valid && factorCheck.ok) {
+        await recordLoginSuccess({ userId: user.user_id });
+
+        return sendLoginSession(req, res, user, {
+          second_factor: FACTORS.TRUSTED_DEVICE,
+          mfa_enrollment_required: factorCheck.enrollmentRequired,
+        });
+      }
+    }
+
+    // Proof of this password check for final login
+    const { ticket: passwordTicket, expiresAt: passwordTicketExpiresAt } = await issuePasswordTicket(user.user_id, { ip });
+
+    // Users with an authenticator app skip the (paid) SMS OTP unless they explicitly ask for it
+    const wantsOtp = !totpEnabled || second_factor === FACTORS.OTP;
+
+    if (!wantsOtp || !checkLoginFactor(user.role, FACTORS.OTP, enrolledFactors).ok) {
+      return successResponse(res, 200, 'Valid details. Enter the code from your authenticator app', {
+        user_id: user.user_id,
+        login_type,
+        second_factor: FACTORS.TOTP,
+        password_ticket: passwordTicket,
+        password_ticket_expires_at: passwordTicketExpiresAt,
+      });
+    }
+
+    const quota = await consumeOtpSendQuota({ phone: user.phone, ip });
+    if (!quota.allowed) {
+      return sendThrottled(res, quota);
+    }
+
     // Generate and send OTP
-    const { otpCode, expiresIST } = await createOtpForUser(user);
+    const { otpCode, expiresIST } = await createOtpForUser(user, null, 'LOGIN', { ip });
 
     return successResponse(res, 200, 'Valid details. OTP sent', {
-      otp: otpCode, // TODO: Remove in production
+      ...(config.otp.exposeInResponse && { otp: otpCode }), // development only
       expires_at: expiresIST,
       user_id: user.user_id,
       login_type,
+      second_factor: FACTORS.OTP,
+      password_ticket: passwordTicket,
+      password_ticket_expires_at: passwordTicketExpiresAt,
     });
   } catch (err) {
     console.error('Credential validation error:', err);
@@ -75,20 +261,33 @@ export async function validateCredentials(req, res) {
 export async function sendOtp(req, res) {
   try {
     const { mobile, role, login_type } = req.body;
+    const { ip } = getClientInfo(req);
+
+    const gate = await checkLoginAllowed({ ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+
+    // Counted before the lookup so unknown numbers can't be probed for free
+    const quota = await consumeOtpSendQuota({ phone: mobile, ip });
+    if (!quota.allowed) {
+      return sendThrottled(res, quota);
+    }
 
     // Find user by mobile and role
     const user = await findUserByMobileAndRole(mobile, role);
 
     // Validate user exists and is active
     if (!isUserActive(user)) {
+      await recordLoginFailure({ ip });
       return errorResponse(res, 401, 'Invalid user credentials');
     }
 
     // Generate and send OTP
-    const { otpCode, expiresIST } = await createOtpForUser(user, mobile);
+    const { otpCode, expiresIST } = await createOtpForUser(user, mobile, 'LOGIN', { ip });
 
     return successResponse(res, 200, 'OTP sent', {
-      otp: otpCode, // TODO: Remove in production
+      ...(config.otp.exposeInResponse && { otp: otpCode }), // development only
       expires_at: expiresIST,
       user_id: user.user_id,
       login_type,
@@ -100,12 +299,23 @@ export async function sendOtp(req, res) {
 }
 
 /**
- * STEP 3: Final Login (OTP Verification + Session Creation)
- * Verifies OTP and creates session with JWT token
+ * STEP 3: Final Login (Second Factor Verification + Session Creation)
+ * Verifies OTP (or TOTP / recovery code) and creates session with JWT token
  */
 export async function finalLogin(req, res) {
   try {
-    const { email, mobile, role, otp } = req.body;
+    const {
+      email,
+      mobile,
+      role,
+      otp,
+      totp_code,
+      recovery_code,
+      password_ticket,
+      remember_device,
+      device_fingerprint,
+    } = req.body;
+    const { ip, userAgent } = getClientInfo(req);
 
     // Find user by email or mobile
     let user = null;
@@ -115,50 +325,90 @@ export async function finalLogin(req, res) {
       user = await findUserByMobileAndRole(mobile, role);
     }
 
+    const gate = await checkLoginAllowed({ userId: user?.user_id, ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+
     // Validate user exists and is active
     if (!isUserActive(user)) {
+      await recordLoginFailure({ ip });
       return errorResponse(res, 401, 'Invalid user credentials');
     }
 
-    // Determine mobile number for OTP verification
-    const mobileToUse = mobile || user.phone;
-    if (!mobileToUse) {
-      return errorResponse(res, 400, 'Mobile number is required for OTP verification');
+    // Check the submitted second factor against the role's MFA policy
+    let factor = FACTORS.OTP;
+    if (totp_code) factor = FACTORS.TOTP;
+    if (recovery_code) factor = FACTORS.RECOVERY_CODE;
+
+    const enrolledFactors = [FACTORS.OTP];
+    if (await isTotpEnabled(user.user_id)) enrolledFactors.push(FACTORS.TOTP);
+    if (factor === FACTORS.RECOVERY_CODE && (await countRemainingRecoveryCodes(user.user_id)) > 0) {
+      enrolledFactors.push(FACTORS.RECOVERY_CODE);
     }
 
-    // Verify OTP
-    const { valid, reason } = await verifyUserOtp(user.user_id, mobileToUse, otp);
-    if (!valid) {
-      return errorResponse(res, 401, `Invalid OTP: ${reason}`);
+    const factorCheck = checkLoginFactor(user.role, factor, enrolledFactors);
+    if (!factorCheck.ok) {
+      return errorResponse(res, 401, `Second factor rejected: ${factorCheck.reason}`);
     }
 
-    // Generate JWT token
-    const token = signJwt({
-      user_id: user.user_id,
-      email: user.email,
-      role: user.role,
-    });
+    // The second factor completes the password check from step 1 - it doesn't replace it. Only the
+    // mobile OTP login (send-otp) has no password step: there the OTP is the one factor, subject
+    // to the role's policy like any other.
+    const isMobileOtpLogin = factor === FACTORS.OTP && !email && Boolean(mobile);
+    const needsPasswordTicket = !isMobileOtpLogin;
+    if (needsPasswordTicket) {
+      const ticketCheck = await verifyPasswordTicket(user.user_id, password_ticket);
+      if (!ticketCheck.valid) {
+        return errorResponse(res, 401, `Password check required: ${ticketCheck.reason}`);
+      }
+    }
 
-    // Get client information
-    const { ip, userAgent } = getClientInfo(req);
+    if (factor === FACTORS.RECOVERY_CODE) {
+      // Single-use backup code (user is notified whenever one is used)
+      const { valid, reason } = await consumeRecoveryCode(user, recovery_code);
+      if (!valid) {
+        await recordLoginFailure({ userId: user.user_id, ip });
+        return errorResponse(res, 401, `Invalid recovery code: ${reason}`);
+      }
+    } else if (factor === FACTORS.TOTP) {
+      // Verify TOTP code from authenticator app
+      const { valid, reason } = await verifyUserTotp(user.user_id, totp_code);
+      if (!valid) {
+        await recordLoginFailure({ userId: user.user_id, ip });
+        return errorResponse(res, 401, `Invalid TOTP: ${reason}`);
+      }
+    } else {
+      // Determine mobile number for OTP verification
+      const mobileToUse = mobile || user.phone;
+      if (!mobileToUse) {
+        return errorResponse(res, 400, 'Mobile number is required for OTP verification');
+      }
 
-    // Create session
-    const { sessionId, expiresAt, dbRow } = await createSessionForUser(
-      user.user_id,
-      token,
-      ip,
-      userAgent
-    );
+      // Verify OTP
+      const { valid, reason } = await verifyUserOtp(user.user_id, mobileToUse, otp);
+      if (!valid) {
+        await recordLoginFailure({ userId: user.user_id, ip });
+        return errorResponse(res, 401, `Invalid OTP: ${reason}`);
+      }
+    }
 
-    return successResponse(res, 200, 'Login successful', {
-      session_id: sessionId,
-      user_id: user.user_id,
-      token,
-      expiry: expiresAt,
-      role: user.role,
-      email: user.email,
-      session_status: dbRow.is_active,
-    });
+    // Used up only now, so a mistyped code can be retried with the same ticket
+    if (needsPasswordTicket && !(await consumePasswordTicket(user.user_id, password_ticket))) {
+      return errorResponse(res, 401, 'Password check required: ticket_used');
+    }
+
+    await recordLoginSuccess({ userId: user.user_id });
+
+    // Opt-in "remember this device" (not after a recovery code - that is the lost-device path)
+    const rememberDevice = remember_device === true && factor !== FACTORS.RECOVERY_CODE
+      ? { fingerprint: getDeviceFingerprint(device_fingerprint, userAgent), userAgent, ip }
+      : null;
+
+    return sendLoginSession(req, res, user, {
+      second_factor: factor,
+      mfa_enrollment_required: factorCheck.enrollmentRequired,
+    }, { rememberDevice });
   } catch (err) {
     console.error('Final login error:', err);
     return errorResponse(res, 500, 'Internal server error', err.message);
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import {
+  getProvider,
+  listProviders,
+  startFederatedLogin,
+  handleFederatedCallback,
+  redeemLoginTicket,
+} from '../services/federationService.js';
+import { FACTORS } from '../services/mfaService.js';
+import { checkLoginAllowed, recordLoginFailure } from '../services/throttleService.js';
+import { sendOneStepLogin, sendThrottled } from './authController.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
+
+// The state is also kept (hashed) in a cookie of the browser that started the login, so a code
+// obtained by someone else can't be finished in this browser (login CSRF)
+const STATE_COOKIE = 'federated_login_state';
+
+function hashState(state) {
+  return crypto.createHash('sha256').update(String(state)).digest('base64url');
+}
+
+function getStateCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax', // sent on the IdP's top-level redirect back to the callback
+    secure: config.oidc.issuer.startsWith('https://'),
+    path: '/api/auth/federated',
+  };
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function isStateFromThisBrowser(req, state) {
+  const expected = Buffer.from(hashState(state));
+  const actual = Buffer.from(readCookie(req, STATE_COOKIE) || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function redirectToComplete(res, params) {
+  const url = new URL(config.federation.completeUrl);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return res.redirect(302, url.toString());
+}
+
+/**
+ * GET /api/auth/federated/providers
+ * Providers the login page can offer
+ */
+export function getProviders(req, res) {
+  return successResponse(res, 200, 'Identity providers', { providers: listProviders() });
+}
+
+/**
+ * STEP 1: GET /api/auth/federated/:provider/start?role=
+ * Sends the browser to the identity provider
+ */
+export async function startFederated(req, res) {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return errorResponse(res, 404, 'Identity provider not found');
+    }
+
+    const { ip, userAgent } = getClientInfo(req);
+
+    const gate = await checkLoginAllowed({ ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+
+    const { authorizationUrl, state } = await startFederatedLogin(provider, { role: req.query.role, ip, userAgent });
+
+    res.cookie(STATE_COOKIE, hashState(state), {
+      ...getStateCookieOptions(),
+      maxAge: config.federation.stateTtlMinutes * 60 * 1000,
+    });
+    return res.redirect(302, authorizationUrl);
+  } catch (err) {
+    console.error('Federated login start error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * STEP 2: GET /api/auth/federated/:provider/callback
+ * The identity provider returns here; the browser is sent on to the frontend with a
+ * one-time ticket (or an error code) - never with tokens in the URL
+ */
+export async function federatedCallback(req, res) {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return errorResponse(res, 404, 'Identity provider not found');
+    }
+
+    const { code, state, error } = req.query;
+    const fromThisBrowser = Boolean(state) && isStateFromThisBrowser(req, state);
+    res.clearCookie(STATE_COOKIE, getStateCookieOptions());
+
+    if (error) {
+      return redirectToComplete(res, { error: 'idp_error' });
+    }
+    if (!code || !state || !fromThisBrowser) {
+      return redirectToComplete(res, { error: 'state_invalid' });
+    }
+
+    const result = await handleFederatedCallback(provider, { code, state });
+    if (!result.valid) {
+      await recordLoginFailure({ ip: getClientInfo(req).ip });
+      return redirectToComplete(res, { error: result.reason });
+    }
+
+    return redirectToComplete(res, { ticket: result.ticket });
+  } catch (err) {
+    console.error('Federated login callback error:', err);
+    return redirectToComplete(res, { error: 'server_error' });
+  }
+}
+
+/**
+ * STEP 3: POST /api/auth/federated/complete - body { ticket }
+ * Exchanges the ticket for a normal login session
+ */
+export async function completeFederated(req, res) {
+  try {
+    const { ticket } = req.body || {};
+    if (!ticket) {
+      return errorResponse(res, 400, 'ticket is required');
+    }
+
+    const { ip } = getClientInfo(req);
+
+    const ipGate = await checkLoginAllowed({ ip });
+    if (!ipGate.allowed) {
+      return sendThrottled(res, ipGate);
+    }
+
+    const { valid, reason, userId, provider } = await redeemLoginTicket(ticket);
+    if (!valid) {
+      await recordLoginFailure({ ip });
+      return errorResponse(res, 401, `Invalid login ticket: ${reason}`);
+    }
+
+    return sendOneStepLogin(req, res, userId, FACTORS.FEDERATED, {
+      label: 'Federated',
+      extra: { identity_provider: provider },
+    });
+  } catch (err) {
+    console.error('Federated login complete error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
@@ -0,0 +1,99 @@
+import { findUserById, isUserActive } from '../services/userService.js';
+import { createLoginSession, destroySession } from '../services/sessionService.js';
+import { AUDIT_EVENTS, recordAuditEvent } from '../services/auditService.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
+
+/**
+ * POST /api/auth/impersonate (ADMIN) - body { user_id, reason }
+ * Starts a short-lived session as the target user. The admin is recorded in the token
+ * (impersonator_id) and the session row; sensitive actions are blocked for its lifetime.
+ */
+export async function startImpersonation(req, res) {
+  try {
+    const { user_id, reason } = req.body || {};
+    if (!user_id || !reason) {
+      return errorResponse(res, 400, 'user_id and reason are required');
+    }
+
+    const adminId = req.user.user_id;
+    if (String(user_id) === String(adminId)) {
+      return errorResponse(res, 400, 'You cannot impersonate yourself');
+    }
+
+    const target = await findUserById(user_id);
+    if (!isUserActive(target)) {
+      return errorResponse(res, 404, 'User not found or inactive');
+    }
+    if (target.role === 'ADMIN') {
+      return errorResponse(res, 403, 'ADMIN accounts cannot be impersonated');
+    }
+
+    const clientInfo = getClientInfo(req);
+    const ttlMinutes = config.impersonation.ttlMinutes;
+
+    const loginSession = await createLoginSession(target, {
+      ...clientInfo,
+      ttlMinutes,
+      impersonatorId: adminId,
+    });
+
+    // No audit entry, no impersonation
+    try {
+      await recordAuditEvent(AUDIT_EVENTS.IMPERSONATION_START, {
+        actorUserId: adminId,
+        targetUserId: target.user_id,
+        sessionId: loginSession.sessionId,
+        ...clientInfo,
+        details: { reason, ttl_minutes: ttlMinutes, admin_session_id: req.user.session_id },
+      });
+    } catch (auditError) {
+      await destroySession(loginSession.sessionId);
+      throw auditError;
+    }
+
+    return successResponse(res, 200, 'Impersonation started', {
+      session_id: loginSession.sessionId,
+      user_id: target.user_id,
+      token: loginSession.token,
+      refresh_token: loginSession.refreshToken,
+      refresh_expiry: loginSession.refreshExpiresAt,
+      expiry: loginSession.expiresAt,
+      role: target.role,
+      email: target.email,
+      impersonator_id: adminId,
+    });
+  } catch (err) {
+    console.error('Impersonation start error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/auth/impersonate/stop (impersonation token)
+ * Ends the impersonation session - the admin carries on with their own session
+ */
+export async function stopImpersonation(req, res) {
+  try {
+    const { impersonator_id, user_id, session_id } = req.user;
+    if (!impersonator_id) {
+      return errorResponse(res, 400, 'Not an impersonation session');
+    }
+
+    await destroySession(session_id);
+
+    await recordAuditEvent(AUDIT_EVENTS.IMPERSONATION_STOP, {
+      actorUserId: impersonator_id,
+      targetUserId: user_id,
+      sessionId: session_id,
+      ...getClientInfo(req),
+      details: { ended_by: 'stop' },
+    });
+
+    return successResponse(res, 200, 'Impersonation ended');
+  } catch (err) {
+    console.error('Impersonation stop error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
@@ -0,0 +1,362 @@
+import validator from 'validator';
+import { config } from '../config/env.js';
+import {
+  INVITATION_CHANNELS,
+  INVITATION_STATUSES,
+  acceptInvitation,
+  createInvitation,
+  findInvitationById,
+  findPendingInvitationByToken,
+  listInvitations,
+  maskPhone,
+  resendInvitation,
+  revokeInvitation,
+  sendInvitationOtp,
+} from '../services/invitationService.js';
+import { getPasswordPolicy, validateNewPassword } from '../services/passwordPolicyService.js';
+import { consumeInvitationSendQuota, consumeOtpSendQuota } from '../services/throttleService.js';
+import { findUserProfileById } from '../services/userService.js';
+import { sendThrottled } from './authController.js';
+import { sendPasswordPolicyViolation } from './userController.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+const INVITABLE_ROLES = ['PRINCIPAL', 'TEACHER', 'PARENT', 'ADMIN', 'STUDENT'];
+
+const CONFLICT_MESSAGES = {
+  email_registered: 'An account with this email already exists',
+  phone_registered: 'An account with this phone already exists',
+  already_invited: 'A pending invitation already exists for this email or phone - resend it instead',
+};
+
+/**
+ * Helper: the school the caller may invite into (null = any school, for ADMIN)
+ */
+async function getCallerSchoolId(req) {
+  if (req.user.role === 'ADMIN') return null;
+  const profile = await findUserProfileById(req.user.user_id);
+  return profile?.school_id ?? undefined;
+}
+
+function canManageSchool(callerSchoolId, schoolId) {
+  return callerSchoolId === null || (callerSchoolId !== undefined && String(callerSchoolId) === String(schoolId));
+}
+
+/**
+ * Helper: 'sms' | 'email' | ['sms', 'email'] -> list of channels, or null if any is unknown
+ */
+function parseChannels(value) {
+  if (value === undefined || value === null) return INVITATION_CHANNELS;
+
+  const channels = [...new Set([].concat(value).map((c) => String(c).toLowerCase()))];
+  if (!channels.length || channels.some((c) => !INVITATION_CHANNELS.includes(c))) return null;
+  return channels;
+}
+
+/**
+ * Helper: validate one invitation and create it
+ * Returns { invitation } or { status, message } (plus quota when the inviter's send quota is used up)
+ */
+async function inviteOne(req, input, callerSchoolId) {
+  const { school_id, branch_id, role, full_name, email, phone, channels } = input || {};
+  const normalizedRole = role ? role.toString().trim().toUpperCase() : null;
+
+  if (!school_id || !normalizedRole || !full_name || !email || !phone) {
+    return { status: 400, message: 'school_id, role, full_name, email and phone are required' };
+  }
+  if (!validator.isEmail(String(email))) {
+    return { status: 400, message: 'Invalid email format' };
+  }
+  if (!INVITABLE_ROLES.includes(normalizedRole)) {
+    return { status: 400, message: `Invalid role. Allowed values: ${INVITABLE_ROLES.join(', ')}` };
+  }
+
+  const deliveryChannels = parseChannels(channels);
+  if (!deliveryChannels) {
+    return { status: 400, message: `Invalid channels. Allowed values: ${INVITATION_CHANNELS.join(', ')}` };
+  }
+
+  if (!canManageSchool(callerSchoolId, school_id)) {
+    return { status: 403, message: 'You can only invite users to your own school' };
+  }
+  if (normalizedRole === 'ADMIN' && req.user.role !== 'ADMIN') {
+    return { status: 403, message: 'Only an ADMIN can invite ADMIN users' };
+  }
+
+  const quota = await consumeInvitationSendQuota(req.user.user_id);
+  if (!quota.allowed) {
+    return { status: 429, message: 'Too many invitations sent. Try again later', quota };
+  }
+
+  try {
+    const { invitation, error } = await createInvitation({
+      schoolId: school_id,
+      branchId: branch_id,
+      role: normalizedRole,
+      fullName: full_name,
+      email,
+      phone,
+      channels: deliveryChannels,
+      invitedBy: req.user.user_id,
+    });
+    if (error) {
+      return { status: 409, message: CONFLICT_MESSAGES[error] };
+    }
+    return { invitation };
+  } catch (err) {
+    // Foreign key violation (invalid school / branch)
+    if (err.code === '23503') {
+      return { status: 400, message: 'Invalid school_id or branch_id' };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Helper: an invitation the caller may manage, or null
+ */
+async function findManagedInvitation(req, invitationId) {
+  const invitation = await findInvitationById(invitationId);
+  if (!invitation) return null;
+
+  return canManageSchool(await getCallerSchoolId(req), invitation.school_id) ? invitation : null;
+}
+
+/**
+ * POST /api/invitations (ADMIN, PRINCIPAL)
+ * body { school_id, branch_id?, role, full_name, email, phone, channels? }
+ */
+export async function inviteUser(req, res) {
+  try {
+    const result = await inviteOne(req, req.body, await getCallerSchoolId(req));
+    if (result.quota) {
+      return sendThrottled(res, result.quota);
+    }
+    if (!result.invitation) {
+      return errorResponse(res, result.status, result.message);
+    }
+
+    return successResponse(res, 201, 'Invitation sent', { invitation: result.invitation });
+  } catch (err) {
+    console.error('Invitation create error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/invitations/bulk (ADMIN, PRINCIPAL)
+ * body { invitations: [{ full_name, email, phone, role?, branch_id? }], school_id?, branch_id?, role?, channels? }
+ * Top-level fields are defaults for every row. Rows are processed independently; the response
+ * reports each one. Once the inviter's send quota runs out, the remaining rows fail.
+ */
+export async function inviteUsersBulk(req, res) {
+  try {
+    const { invitations, ...defaults } = req.body || {};
+
+    if (!Array.isArray(invitations) || !invitations.length) {
+      return errorResponse(res, 400, 'invitations (non-empty array) is required');
+    }
+    if (invitations.length > config.invitations.maxBulk) {
+      return errorResponse(res, 400, `At most ${config.invitations.maxBulk} invitations per request`);
+    }
+
+    const callerSchoolId = await getCallerSchoolId(req);
+    const results = [];
+    let quotaExceeded = null;
+
+    for (const [index, row] of invitations.entries()) {
+      const result = quotaExceeded ?? (await inviteOne(req, { ...defaults, ...row }, callerSchoolId));
+      if (result.quota) quotaExceeded = result;
+
+      results.push(
+        result.invitation
+          ? { index, status: 'invited', invitation: result.invitation }
+          : { index, status: 'failed', email: row?.email ?? null, error: result.message }
+      );
+    }
+
+    const invited = results.filter((r) => r.status === 'invited').length;
+
+    return successResponse(res, 200, `${invited} of ${results.length} invitations sent`, {
+      invited,
+      failed: results.length - invited,
+      results,
+    });
+  } catch (err) {
+    console.error('Invitation bulk create error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * GET /api/invitations?school_id=&status= (ADMIN, PRINCIPAL - principals see their own school)
+ */
+export async function getInvitations(req, res) {
+  try {
+    const { school_id, status } = req.query;
+
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return errorResponse(res, 400, `Invalid status. Allowed values: ${INVITATION_STATUSES.join(', ')}`);
+    }
+
+    const callerSchoolId = await getCallerSchoolId(req);
+    if (callerSchoolId === undefined || (school_id && !canManageSchool(callerSchoolId, school_id))) {
+      return errorResponse(res, 403, 'You can only view invitations for your own school');
+    }
+
+    const invitations = await listInvitations({ schoolId: callerSchoolId ?? school_id, status });
+    return successResponse(res, 200, 'Invitations', { invitations });
+  } catch (err) {
+    console.error('Invitation list error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/invitations/:invitationId/resend (ADMIN, PRINCIPAL) - body { channels? }
+ * Sends a new link and restarts the expiry; the previous link stops working
+ */
+export async function resendInvitationLink(req, res) {
+  try {
+    const channels = req.body?.channels === undefined ? undefined : parseChannels(req.body.channels);
+    if (channels === null) {
+      return errorResponse(res, 400, `Invalid channels. Allowed values: ${INVITATION_CHANNELS.join(', ')}`);
+    }
+
+    const existing = await findManagedInvitation(req, req.params.invitationId);
+    if (!existing) {
+      return errorResponse(res, 404, 'Invitation not found');
+    }
+
+    const quota = await consumeInvitationSendQuota(req.user.user_id);
+    if (!quota.allowed) {
+      return sendThrottled(res, quota);
+    }
+
+    const invitation = await resendInvitation(existing.invitation_id, { channels });
+    if (!invitation) {
+      return errorResponse(res, 409, `Invitation has already been ${existing.accepted_at ? 'accepted' : 'revoked'}`);
+    }
+
+    return successResponse(res, 200, 'Invitation resent', { invitation });
+  } catch (err) {
+    console.error('Invitation resend error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * DELETE /api/invitations/:invitationId (ADMIN, PRINCIPAL) - revokes the invitation
+ */
+export async function removeInvitation(req, res) {
+  try {
+    const existing = await findManagedInvitation(req, req.params.invitationId);
+    if (!existing) {
+      return errorResponse(res, 404, 'Invitation not found');
+    }
+
+    const revoked = await revokeInvitation(existing.invitation_id, req.user.user_id);
+    if (!revoked) {
+      return errorResponse(res, 409, 'Invitation has already been accepted or revoked');
+    }
+
+    return successResponse(res, 200, 'Invitation revoked');
+  } catch (err) {
+    console.error('Invitation revoke error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/invitations/accept/start (public) - body { token }
+ * Opens the invitation link: returns who was invited and sends the phone-verification OTP
+ */
+export async function startInvitationAcceptance(req, res) {
+  try {
+    const { ip } = getClientInfo(req);
+
+    const invitation = await findPendingInvitationByToken(req.body?.token);
+    if (!invitation) {
+      return errorResponse(res, 400, 'Invalid or expired invitation link');
+    }
+
+    const quota = await consumeOtpSendQuota({ phone: invitation.phone, ip });
+    if (!quota.allowed) {
+      return sendThrottled(res, quota);
+    }
+
+    const { expiresAt } = await sendInvitationOtp(invitation);
+
+    return successResponse(res, 200, 'Verification code sent', {
+      invitation: {
+        full_name: invitation.full_name,
+        email: invitation.email,
+        phone: maskPhone(invitation.phone),
+        role: invitation.role,
+        school_id: invitation.school_id,
+        branch_id: invitation.branch_id,
+      },
+      otp_expires_at: expiresAt,
+      password_policy: getPasswordPolicy(invitation.school_id),
+    });
+  } catch (err) {
+    console.error('Invitation start error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/invitations/accept (public) - body { token, otp, password, username? }
+ * Verifies the phone OTP and creates the account with the invitee's own password
+ * (username defaults to the invited email)
+ */
+export async function completeInvitationAcceptance(req, res) {
+  try {
+    const { token, otp, password, username } = req.body || {};
+
+    if (!token || !otp || !password) {
+      return errorResponse(res, 400, 'token, otp and password are required');
+    }
+
+    const invitation = await findPendingInvitationByToken(token);
+    if (!invitation) {
+      return errorResponse(res, 400, 'Invalid or expired invitation link');
+    }
+
+    // A rejected password doesn't use up an OTP attempt
+    const passwordCheck = await validateNewPassword(password, {
+      schoolId: invitation.school_id,
+      user: { full_name: invitation.full_name, username, email: invitation.email, phone: invitation.phone },
+    });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyViolation(res, passwordCheck.violations);
+    }
+
+    const { user, error, attemptsRemaining } = await acceptInvitation(invitation, { otp, username, password });
+    if (error === 'invitation_unavailable') {
+      return errorResponse(res, 400, 'Invalid or expired invitation link');
+    }
+    if (error) {
+      return res.status(400).json({
+        status: 400,
+        message: `OTP verification failed: ${error}`,
+        ...(attemptsRemaining !== undefined && { attempts_remaining: attemptsRemaining }),
+      });
+    }
+
+    return successResponse(res, 201, 'Invitation accepted. You can now log in', {
+      user,
+      ...(passwordCheck.warnings.length && { password_warnings: passwordCheck.warnings }),
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      const message = err.constraint === 'users_username_key'
+        ? 'Username already in use - choose another'
+        : 'An account with this email or phone already exists';
+      return errorResponse(res, 409, message);
+    }
+
+    console.error('Invitation accept error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
@@ -0,0 +1,17 @@
+import { getPublicJwks } from '../services/jwtKeyService.js';
+
+/**
+ * GET public signing keys (RFC 7517 JWK Set) so other services can verify our access tokens
+ */
+export async function getJwks(req, res) {
+  try {
+    const jwks = await getPublicJwks();
+
+    // Verifiers may cache briefly; new keys are published well before they start signing
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.status(200).json(jwks);
+  } catch (err) {
+    console.error('JWKS error:', err);
+    return res.status(500).json({ message: 'Internal server error' });
+  }
+}
@@ -0,0 +1,71 @@
+import { findUserById, isUserActive, updateUserPasswordHash } from '../services/userService.js';
+import { EMAIL_LINK_PURPOSES, consumeEmailLinkToken, createEmailLinkToken } from '../services/emailLinkService.js';
+import { destroyAllSessionsForUser } from '../services/sessionService.js';
+import { revokeAllTrustedDevices } from '../services/trustedDeviceService.js';
+import { deleteAllCredentials } from '../services/webauthnService.js';
+import { sendSecurityNotification } from '../services/notificationService.js';
+import { AUDIT_EVENTS, recordAuditEvent } from '../services/auditService.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
+
+/**
+ * POST /api/auth/login-alerts/report - body { token }
+ * "This wasn't me" from a new-login alert: signs the user out everywhere, forgets trusted
+ * devices, deletes passkeys and disables the current password. The response carries a password reset token so
+ * the frontend can go straight to the reset page (POST /api/users/password/reset-with-token).
+ */
+export async function reportUnrecognisedLogin(req, res) {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return errorResponse(res, 400, 'token is required');
+    }
+
+    const { valid, reason, userId } = await consumeEmailLinkToken(token, EMAIL_LINK_PURPOSES.LOGIN_ALERT);
+    if (!valid) {
+      return errorResponse(res, 400, `Invalid or expired link: ${reason}`);
+    }
+
+    const user = await findUserById(userId);
+    if (!isUserActive(user)) {
+      return errorResponse(res, 400, 'Invalid or expired link');
+    }
+
+    const clientInfo = getClientInfo(req);
+
+    // Whoever logged in is out, and neither the leaked password nor a passkey they may have
+    // registered works any more (the user registers their own passkeys again)
+    const revokedCount = await destroyAllSessionsForUser(user.user_id);
+    await revokeAllTrustedDevices(user.user_id);
+    const deletedPasskeys = await deleteAllCredentials(user.user_id);
+    await updateUserPasswordHash(user.user_id, null);
+
+    await recordAuditEvent(AUDIT_EVENTS.UNRECOGNISED_LOGIN_REPORTED, {
+      actorUserId: user.user_id,
+      targetUserId: user.user_id,
+      ...clientInfo,
+      details: { revoked_count: revokedCount, deleted_passkeys: deletedPasskeys },
+    });
+
+    const { ttlMinutes } = config.emailLinks.passwordReset;
+    const { token: resetToken } = await createEmailLinkToken(user.user_id, EMAIL_LINK_PURPOSES.PASSWORD_RESET, {
+      ttlMinutes,
+      ip: clientInfo.ip,
+    });
+
+    await sendSecurityNotification(
+      user,
+      'Your account has been secured',
+      'You reported a login you did not recognise. All sessions were signed out, your passkeys were removed and your password was disabled. Choose a new password to sign in again.'
+    );
+
+    return successResponse(res, 200, 'Account secured. Choose a new password to continue', {
+      password_reset_token: resetToken,
+      expires_in_minutes: ttlMinutes,
+    });
+  } catch (err) {
+    console.error('Unrecognised login report error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
@@ -0,0 +1,119 @@
+import { findUserByEmailAndRole, isUserActive } from '../services/userService.js';
+import {
+  EMAIL_LINK_PURPOSES,
+  createEmailLinkToken,
+  consumeEmailLinkToken,
+  buildEmailLinkUrl,
+} from '../services/emailLinkService.js';
+import { sendEmailLink } from '../services/notificationService.js';
+import { isTotpEnabled } from '../services/totpService.js';
+import { FACTORS, checkLoginFactor } from '../services/mfaService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  consumeOtpSendQuota,
+} from '../services/throttleService.js';
+import { sendOneStepLogin, sendThrottled } from './authController.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
+
+/**
+ * Helper: factors the user has set up (magic link only needs an email address)
+ */
+async function getEnrolledFactors(user) {
+  const enrolledFactors = [FACTORS.OTP, FACTORS.MAGIC_LINK];
+  if (await isTotpEnabled(user.user_id)) enrolledFactors.push(FACTORS.TOTP);
+  return enrolledFactors;
+}
+
+/**
+ * STEP 1: Request a magic login link by email
+ * Always answers the same way so the endpoint can't be used to discover accounts
+ */
+export async function requestMagicLink(req, res) {
+  try {
+    const { email, role } = req.body || {};
+    if (!email || !role) {
+      return errorResponse(res, 400, 'email and role are required');
+    }
+
+    const { ip } = getClientInfo(req);
+
+    const gate = await checkLoginAllowed({ ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+
+    const quota = await consumeOtpSendQuota({ email, ip });
+    if (!quota.allowed) {
+      return sendThrottled(res, quota);
+    }
+
+    const { ttlMinutes, path } = config.emailLinks.magicLink;
+    const genericResponse = () =>
+      successResponse(res, 200, 'If the account exists, a login link has been sent to its email address', {
+        expires_in_minutes: ttlMinutes,
+      });
+
+    // Same role / is_active checks as the password + OTP flow
+    const user = await findUserByEmailAndRole(email, role);
+    if (!isUserActive(user) || !user.email) {
+      return genericResponse();
+    }
+
+    // Roles whose MFA policy doesn't allow magic links never get one
+    if (!checkLoginFactor(user.role, FACTORS.MAGIC_LINK, await getEnrolledFactors(user)).ok) {
+      return genericResponse();
+    }
+
+    const { token } = await createEmailLinkToken(user.user_id, EMAIL_LINK_PURPOSES.MAGIC_LINK, {
+      ttlMinutes,
+      ip,
+    });
+
+    await sendEmailLink(user.email, 'Your Login Link', {
+      heading: 'Sign in',
+      intro: 'Click the button below to sign in. Only use this link on a device you are currently using.',
+      actionLabel: 'Sign in',
+      url: buildEmailLinkUrl(path, token),
+      ttlMinutes,
+    });
+
+    return genericResponse();
+  } catch (err) {
+    console.error('Magic link request error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * STEP 2: Exchange the token from the link for a session
+ * POST (not GET) so mail scanners that prefetch links can't burn the single-use token
+ */
+export async function verifyMagicLink(req, res) {
+  try {
+    const { token } = req.body || {};
+    if (!token) {
+      return errorResponse(res, 400, 'token is required');
+    }
+
+    const { ip } = getClientInfo(req);
+
+    const ipGate = await checkLoginAllowed({ ip });
+    if (!ipGate.allowed) {
+      return sendThrottled(res, ipGate);
+    }
+
+    const { valid, reason, userId } = await consumeEmailLinkToken(token, EMAIL_LINK_PURPOSES.MAGIC_LINK);
+    if (!valid) {
+      await recordLoginFailure({ ip });
+      return errorResponse(res, 401, `Invalid login link: ${reason}`);
+    }
+
+    return sendOneStepLogin(req, res, userId, FACTORS.MAGIC_LINK, { label: 'Magic link' });
+  } catch (err) {
+    console.error('Magic link verify error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
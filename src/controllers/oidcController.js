@@ -0,0 +1,384 @@
+import {
+  registerClient,
+  listClients,
+  deactivateClient,
+  getActiveClient,
+  authenticateClient,
+  createAuthorizationRequest,
+  getPendingAuthorization,
+  completeAuthorization,
+  exchangeAuthorizationCode,
+  recordAuthorizationSession,
+  getUserClaims,
+  createIdToken,
+  getDiscoveryDocument,
+} from '../services/oidcService.js';
+import { findUserProfileById, isUserActive } from '../services/userService.js';
+import { createLoginSession, destroySession } from '../services/sessionService.js';
+import { decodeJwt } from '../utils/jwt.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
+
+/**
+ * OAuth 2.0 / OIDC endpoints answer in the protocol's own error format
+ * ({ error, error_description }) instead of the API response helpers - client
+ * libraries depend on it.
+ */
+function oauthError(res, statusCode, error, description) {
+  return res.status(statusCode).json({ error, error_description: description });
+}
+
+function redirectWithParams(res, redirectUri, params) {
+  const url = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  }
+  return res.redirect(302, url.toString());
+}
+
+function parseScopes(scope) {
+  return String(scope || '').split(' ').filter(Boolean);
+}
+
+/**
+ * Helper: client credentials from HTTP Basic auth (client_secret_basic) or the body (client_secret_post)
+ */
+function getClientCredentials(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator > -1) {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    }
+  }
+  return { clientId: req.body?.client_id, clientSecret: req.body?.client_secret };
+}
+
+// ============================================
+// Discovery
+// ============================================
+
+/**
+ * GET /.well-known/openid-configuration
+ */
+export function openidConfiguration(req, res) {
+  res.set('Cache-Control', 'public, max-age=3600');
+  return res.status(200).json(getDiscoveryDocument());
+}
+
+// ============================================
+// Authorization endpoint
+// ============================================
+
+/**
+ * GET /oauth/authorize
+ * Validates the request, stores it and sends the browser to the login page
+ */
+export async function authorize(req, res) {
+  try {
+    const {
+      client_id,
+      redirect_uri,
+      response_type,
+      scope,
+      state,
+      nonce,
+      code_challenge,
+      code_challenge_method,
+    } = req.query;
+
+    // Unknown client / redirect URI: never redirect (could be an open redirect)
+    const client = await getActiveClient(client_id);
+    if (!client) {
+      return oauthError(res, 400, 'invalid_client', 'Unknown or disabled client_id');
+    }
+    if (!redirect_uri || !client.redirect_uris.includes(redirect_uri)) {
+      return oauthError(res, 400, 'invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    const fail = (error, description) =>
+      redirectWithParams(res, redirect_uri, { error, error_description: description, state });
+
+    if (response_type !== 'code') {
+      return fail('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    const requested = parseScopes(scope);
+    if (!requested.includes('openid')) {
+      return fail('invalid_scope', 'scope must include openid');
+    }
+    const granted = requested.filter(
+      (s) => config.oidc.scopes.includes(s) && client.allowed_scopes.includes(s)
+    );
+
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      return fail('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    const requestId = await createAuthorizationRequest({
+      clientId: client.client_id,
+      redirectUri: redirect_uri,
+      scope: granted.join(' '),
+      state,
+      nonce,
+      codeChallenge: code_challenge,
+    });
+
+    return redirectWithParams(res, config.oidc.loginUrl, { request_id: requestId });
+  } catch (err) {
+    console.error('OIDC authorize error:', err);
+    return oauthError(res, 500, 'server_error', 'Internal server error');
+  }
+}
+
+/**
+ * GET /oauth/authorize/requests/:requestId
+ * Lets the login page show which application the user is signing in to
+ */
+export async function getAuthorizationRequest(req, res) {
+  try {
+    const pending = await getPendingAuthorization(req.params.requestId);
+    if (!pending) {
+      return errorResponse(res, 404, 'Authorization request not found or expired');
+    }
+
+    return successResponse(res, 200, 'Authorization request', {
+      request_id: pending.request_id,
+      client_name: pending.client_name,
+      scopes: parseScopes(pending.scope),
+    });
+  } catch (err) {
+    console.error('OIDC authorization request error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /oauth/authorize/complete (auth) - body { request_id }
+ * Called by the login page once the user has logged in through the normal
+ * credential + OTP flow; returns the client redirect carrying the authorization code
+ */
+export async function completeAuthorize(req, res) {
+  try {
+    const { request_id } = req.body || {};
+    if (!request_id) {
+      return errorResponse(res, 400, 'request_id is required');
+    }
+
+    const profile = await findUserProfileById(req.user.user_id);
+    if (!isUserActive(profile)) {
+      return errorResponse(res, 401, 'Invalid user credentials');
+    }
+
+    // auth_time is when the user logged in, not now
+    const authTime = req.user.auth_time || req.user.iat;
+
+    const result = await completeAuthorization(request_id, profile.user_id, authTime, getClientInfo(req));
+    if (!result) {
+      return errorResponse(res, 404, 'Authorization request not found or expired');
+    }
+
+    const redirectUrl = new URL(result.redirectUri);
+    redirectUrl.searchParams.set('code', result.code);
+    if (result.state) redirectUrl.searchParams.set('state', result.state);
+
+    return successResponse(res, 200, 'Authorization complete', {
+      redirect_to: redirectUrl.toString(),
+    });
+  } catch (err) {
+    console.error('OIDC authorize complete error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+// ============================================
+// Token endpoint
+// ============================================
+
+/**
+ * POST /oauth/token (authorization_code grant)
+ * Issues a session-backed access token plus an ID token
+ */
+export async function token(req, res) {
+  try {
+    res.set('Cache-Control', 'no-store');
+
+    const { grant_type, code, redirect_uri, code_verifier } = req.body || {};
+    const { clientId, clientSecret } = getClientCredentials(req);
+
+    const client = await authenticateClient(clientId, clientSecret);
+    if (!client) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    if (grant_type !== 'authorization_code') {
+      return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const exchange = await exchangeAuthorizationCode({
+      code,
+      clientId: client.client_id,
+      redirectUri: redirect_uri,
+      codeVerifier: code_verifier,
+    });
+
+    if (!exchange.valid) {
+      // A replayed code means it leaked - revoke whatever it was used for
+      if (exchange.reason === 'code_reused' && exchange.sessionId) {
+        console.warn(`Authorization code reuse detected - revoking session ${exchange.sessionId}`);
+        await destroySession(exchange.sessionId);
+      }
+      return oauthError(res, 400, 'invalid_grant', exchange.reason);
+    }
+
+    const { authorization } = exchange;
+    const profile = await findUserProfileById(authorization.user_id);
+    if (!isUserActive(profile)) {
+      return oauthError(res, 400, 'invalid_grant', 'user_inactive');
+    }
+
+    const authTime = Number(authorization.auth_time);
+    const loginSession = await createLoginSession(profile, {
+      ip: authorization.ip_address,
+      userAgent: authorization.user_agent,
+      claims: { client_id: client.client_id, scope: authorization.scope, auth_time: authTime },
+    });
+
+    await recordAuthorizationSession(authorization.request_id, loginSession.sessionId);
+
+    const idToken = await createIdToken({
+      profile,
+      clientId: client.client_id,
+      scopes: parseScopes(authorization.scope),
+      nonce: authorization.nonce,
+      authTime,
+      sessionId: loginSession.sessionId,
+    });
+
+    const { iat, exp } = decodeJwt(loginSession.token);
+
+    return res.status(200).json({
+      access_token: loginSession.token,
+      token_type: 'Bearer',
+      expires_in: exp - iat,
+      id_token: idToken,
+      scope: authorization.scope,
+    });
+  } catch (err) {
+    console.error('OIDC token error:', err);
+    return oauthError(res, 500, 'server_error', 'Internal server error');
+  }
+}
+
+// ============================================
+// UserInfo endpoint
+// ============================================
+
+/**
+ * GET|POST /oauth/userinfo (client access token)
+ */
+export async function userinfo(req, res) {
+  try {
+    const scopes = parseScopes(req.user.scope);
+    if (!scopes.includes('openid')) {
+      return oauthError(res, 403, 'insufficient_scope', 'Token was not issued with the openid scope');
+    }
+
+    const profile = await findUserProfileById(req.user.user_id);
+    if (!isUserActive(profile)) {
+      return oauthError(res, 401, 'invalid_token', 'User is inactive');
+    }
+
+    return res.status(200).json(getUserClaims(profile, scopes));
+  } catch (err) {
+    console.error('OIDC userinfo error:', err);
+    return oauthError(res, 500, 'server_error', 'Internal server error');
+  }
+}
+
+// ============================================
+// Client registration (admin)
+// ============================================
+
+/**
+ * POST /oauth/clients - body { name, redirect_uris, allowed_scopes?, confidential? }
+ */
+export async function createClient(req, res) {
+  try {
+    const { name, redirect_uris, allowed_scopes, confidential = true } = req.body || {};
+
+    if (!name || !Array.isArray(redirect_uris) || !redirect_uris.length) {
+      return errorResponse(res, 400, 'name and redirect_uris (array) are required');
+    }
+
+    for (const uri of redirect_uris) {
+      let url;
+      try {
+        url = new URL(uri);
+      } catch {
+        return errorResponse(res, 400, `Invalid redirect URI: ${uri}`);
+      }
+      const isLocalhost = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+      if (url.hash || (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocalhost))) {
+        return errorResponse(res, 400, `Redirect URI must be https (or http://localhost) without a fragment: ${uri}`);
+      }
+    }
+
+    if (allowed_scopes) {
+      const unknown = allowed_scopes.filter((s) => !config.oidc.scopes.includes(s));
+      if (unknown.length) {
+        return errorResponse(res, 400, `Unsupported scopes: ${unknown.join(', ')}`);
+      }
+    }
+
+    const { client, clientSecret } = await registerClient({
+      name,
+      redirectUris: redirect_uris,
+      allowedScopes: allowed_scopes,
+      isConfidential: confidential,
+      createdBy: req.user.user_id,
+    });
+
+    return successResponse(res, 201, 'Client registered. Store the client secret now - it is not shown again', {
+      client,
+      ...(clientSecret && { client_secret: clientSecret }),
+    });
+  } catch (err) {
+    console.error('OIDC client register error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * GET /oauth/clients
+ */
+export async function getClients(req, res) {
+  try {
+    const clients = await listClients();
+    return successResponse(res, 200, 'Clients', { clients });
+  } catch (err) {
+    console.error('OIDC client list error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * DELETE /oauth/clients/:clientId - disables the client
+ */
+export async function removeClient(req, res) {
+  try {
+    const removed = await deactivateClient(req.params.clientId);
+    if (!removed) {
+      return errorResponse(res, 404, 'Client not found');
+    }
+    return successResponse(res, 200, 'Client disabled');
+  } catch (err) {
+    console.error('OIDC client disable error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
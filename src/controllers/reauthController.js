@@ -0,0 +1,126 @@
+import { findUserById, isUserActive } from '../services/userService.js';
+import { createOtpForUser, verifyUserOtp } from '../services/otpService.js';
+import { verifyUserTotp } from '../services/totpService.js';
+import { updateSessionToken } from '../services/sessionService.js';
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  consumeOtpSendQuota,
+} from '../services/throttleService.js';
+import { sendThrottled } from './authController.js';
+import { signJwt } from '../utils/jwt.js';
+import { verifyPassword } from '../utils/password.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+import { config } from '../config/env.js';
+
+const OTP_TYPE_REAUTHENTICATION = 'REAUTHENTICATION';
+
+// Authentication method references (RFC 8176) recorded in the amr claim
+const AMR = {
+  password: 'pwd',
+  otp: 'sms',
+  totp: 'otp',
+};
+
+/**
+ * Helper: check whichever proof the client sent
+ * Returns { valid, reason, method }
+ */
+async function verifyReauthentication(user, { password, otp, totp_code }) {
+  if (totp_code) {
+    const { valid, reason } = await verifyUserTotp(user.user_id, totp_code);
+    return { valid, reason, method: 'totp' };
+  }
+  if (otp) {
+    const { valid, reason } = await verifyUserOtp(user.user_id, null, otp, OTP_TYPE_REAUTHENTICATION);
+    return { valid, reason, method: 'otp' };
+  }
+  if (password) {
+    const valid = Boolean(user.password_hash) && (await verifyPassword(password, user.password_hash));
+    return { valid, reason: valid ? null : 'password_mismatch', method: 'password' };
+  }
+  return { valid: false, reason: 'missing_credentials' };
+}
+
+/**
+ * POST /api/auth/reauthenticate/send-otp (auth)
+ * Sends a confirmation code for users who re-authenticate with OTP
+ */
+export async function sendReauthenticationOtp(req, res) {
+  try {
+    const { ip } = getClientInfo(req);
+
+    const user = await findUserById(req.user.user_id);
+    if (!isUserActive(user)) {
+      return errorResponse(res, 401, 'Invalid user');
+    }
+
+    const quota = await consumeOtpSendQuota({ phone: user.phone, ip });
+    if (!quota.allowed) {
+      return sendThrottled(res, quota);
+    }
+
+    const { expiresIST } = await createOtpForUser(user, null, OTP_TYPE_REAUTHENTICATION, { ip });
+
+    return successResponse(res, 200, 'Confirmation code sent', { expires_at: expiresIST });
+  } catch (err) {
+    console.error('Reauthentication OTP error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/auth/reauthenticate (auth) - body { password } | { otp } | { totp_code }
+ * Confirms the user is still at the keyboard before a sensitive operation. Returns a new
+ * access token for the same session with a fresh auth_time (kept when it is refreshed).
+ */
+export async function reauthenticate(req, res) {
+  try {
+    const { ip } = getClientInfo(req);
+    const userId = req.user.user_id;
+
+    const gate = await checkLoginAllowed({ userId, ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+
+    const user = await findUserById(userId);
+    if (!isUserActive(user)) {
+      return errorResponse(res, 401, 'Invalid user');
+    }
+
+    const { valid, reason, method } = await verifyReauthentication(user, req.body || {});
+    if (reason === 'missing_credentials') {
+      return errorResponse(res, 400, 'password, otp or totp_code is required');
+    }
+    if (!valid) {
+      await recordLoginFailure({ userId, ip });
+      return errorResponse(res, 401, `Reauthentication failed: ${reason}`);
+    }
+
+    await recordLoginSuccess({ userId });
+
+    const { iat, exp, nbf, ...claims } = req.user;
+    const authTime = Math.floor(Date.now() / 1000);
+
+    const token = await signJwt({
+      ...claims,
+      auth_time: authTime,
+      amr: [AMR[method]],
+    });
+
+    await updateSessionToken(req.user.session_id, token);
+
+    return successResponse(res, 200, 'Reauthenticated', {
+      token,
+      auth_time: authTime,
+      method,
+      valid_for_seconds: config.stepUp.maxAgeMinutes * 60,
+    });
+  } catch (err) {
+    console.error('Reauthentication error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
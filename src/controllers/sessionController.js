@@ -1,7 +1,52 @@
 // src/controllers/sessionController.js
-import jwt from "jsonwebtoken";
-import { validateSession, destroySession } from "../services/sessionService.js";
-import { config } from "../config/config.js";
+import {
+  validateSession,
+  destroySession,
+  rotateRefreshToken,
+  updateSessionToken,
+  listActiveSessionsForUser,
+  destroySessionForUser,
+  destroyOtherSessionsForUser,
+  destroyAllSessionsForUser,
+  listActiveSessionsForSchool,
+  destroyAllSessionsForSchool,
+} from "../services/sessionService.js";
+import { findUserById, findUserProfileById, isUserActive } from "../services/userService.js";
+import { AUDIT_EVENTS, recordAuditEvent } from "../services/auditService.js";
+import { ADMIN_MANAGED_ROLES, canManageUser } from "../middleware/roleMiddleware.js";
+import { signJwt, verifyJwt, decodeJwt } from "../utils/jwt.js";
+import { getClientInfo } from "../utils/request.js";
+import { parseUserAgent } from "../utils/userAgent.js";
+
+/**
+ * Helper: session row -> API shape (device details parsed from the user agent)
+ */
+function toSessionSummary(session, currentSessionId) {
+  const device = parseUserAgent(session.user_agent);
+  return {
+    session_id: session.session_id,
+    current: session.session_id === currentSessionId,
+    device_type: device.deviceType,
+    device: device.label,
+    os: device.os,
+    os_version: device.osVersion,
+    browser: device.browser,
+    browser_version: device.browserVersion,
+    ip_address: session.ip_address,
+    last_activity_at: session.last_activity_at,
+    expires_at: session.expires_at,
+    impersonated: Boolean(session.impersonator_user_id),
+  };
+}
+
+/**
+ * Helper: principals only oversee their own school (admins see every school)
+ */
+async function canOverseeSchool(req, schoolId) {
+  if (req.user.role === "ADMIN") return true;
+  const profile = await findUserProfileById(req.user.user_id);
+  return profile?.school_id != null && String(profile.school_id) === String(schoolId);
+}
 
 export async function validateSessionController(req, res) {
   try {
@@ -23,9 +68,8 @@ export async function validateSessionController(req, res) {
     }
 
     // verify JWT also
-    try {
-      jwt.verify(token, config.jwt.secret);
-    } catch (err) {
+    const decoded = await verifyJwt(token);
+    if (!decoded || decoded.session_id !== session_id) {
       return res.status(401).json({
         status: "error",
         message: "Invalid or expired token",
@@ -61,8 +105,21 @@ export async function logoutController(req, res) {
       });
     }
 
+    const { session } = await validateSession(session_id);
+
     await destroySession(session_id);
 
+    // Logging out of an impersonation session ends the impersonation
+    if (session?.impersonator_user_id) {
+      await recordAuditEvent(AUDIT_EVENTS.IMPERSONATION_STOP, {
+        actorUserId: session.impersonator_user_id,
+        targetUserId: session.user_id,
+        sessionId: session_id,
+        ...getClientInfo(req),
+        details: { ended_by: "logout" },
+      });
+    }
+
     return res.status(200).json({
       status: "success",
       message: "Logged out successfully",
@@ -75,3 +132,280 @@ export async function logoutController(req, res) {
     });
   }
 }
+
+
+export async function refreshSessionController(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        status: "error",
+        message: "refresh_token is required",
+      });
+    }
+
+    const result = await rotateRefreshToken(refresh_token);
+    if (!result.valid) {
+      return res.status(401).json({
+        status: "error",
+        message: `Invalid refresh token: ${result.reason}`,
+      });
+    }
+
+    const user = await findUserById(result.session.user_id);
+    if (!isUserActive(user)) {
+      await destroySession(result.session.session_id);
+      return res.status(401).json({
+        status: "error",
+        message: "Invalid refresh token: user_inactive",
+      });
+    }
+
+    // Carry over login-time claims (auth_time, client_id ...) from the session's previous token
+    const { iat, exp, nbf, ...previousClaims } = decodeJwt(result.session.jwt_token) || {};
+
+    const token = await signJwt({
+      ...previousClaims,
+      user_id: user.user_id,
+      email: user.email,
+      role: user.role,
+      session_id: result.session.session_id,
+    });
+
+    await updateSessionToken(result.session.session_id, token);
+
+    return res.status(200).json({
+      status: "success",
+      message: "Token refreshed",
+      data: {
+        session_id: result.session.session_id,
+        user_id: user.user_id,
+        token,
+        refresh_token: result.refreshToken,
+        refresh_expiry: result.refreshExpiresAt,
+        expires_at: result.session.expires_at,
+      },
+    });
+  } catch (err) {
+    console.error("Session refresh error:", err);
+    return res.status(500).json({
+      status: "error",
+      message: "Internal server error during token refresh",
+    });
+  }
+}
+
+
+/**
+ * GET /api/sessions/me (auth)
+ * The user's active sessions, with the one making the request flagged as current
+ */
+export async function listMySessionsController(req, res) {
+  try {
+    const sessions = await listActiveSessionsForUser(req.user.user_id);
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        sessions: sessions.map((session) => toSessionSummary(session, req.user.session_id)),
+      },
+    });
+  } catch (err) {
+    console.error("Session list error:", err);
+    return res.status(500).json({
+      status: "error",
+      message: "Internal server error",
+    });
+  }
+}
+
+
+/**
+ * DELETE /api/sessions/me/:sessionId (auth)
+ * Sign out one of the user's sessions (revoking the current one is a logout)
+ */
+export async function revokeMySessionController(req, res) {
+  try {
+    const revoked = await destroySessionForUser(req.user.user_id, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: "error",
+        message: "Session not found",
+      });
+    }
+
+    return res.status(200).json({
+      status: "success",
+      message: "Session revoked",
+    });
+  } catch (err) {
+    console.error("Session revoke error:", err);
+    return res.status(500).json({
+      status: "error",
+      message: "Internal server error",
+    });
+  }
+}
+
+
+/**
+ * POST /api/sessions/me/revoke-others (auth)
+ * Sign out every session except the current one
+ */
+export async function revokeOtherSessionsController(req, res) {
+  try {
+    const revokedCount = await destroyOtherSessionsForUser(req.user.user_id, req.user.session_id);
+
+    return res.status(200).json({
+      status: "success",
+      message: "Other sessions revoked",
+      data: { revoked_count: revokedCount },
+    });
+  } catch (err) {
+    console.error("Session revoke-others error:", err);
+    return res.status(500).json({
+      status: "error",
+      message: "Internal server error",
+    });
+  }
+}
+
+
+/**
+ * Helper: load a user the caller may oversee (null if missing, in another school, or an
+ * ADMIN / other PRINCIPAL for a PRINCIPAL caller)
+ */
+async function findOverseenUser(req, userId) {
+  const profile = await findUserProfileById(userId);
+  if (!profile || !canManageUser(req, profile)) return null;
+
+  return (await canOverseeSchool(req, profile.school_id)) ? profile : null;
+}
+
+
+/**
+ * GET /api/sessions/users/:userId (ADMIN, PRINCIPAL)
+ */
+export async function listUserSessionsController(req, res) {
+  try {
+    const user = await findOverseenUser(req, req.params.userId);
+    if (!user) {
+      return res.status(404).json({ status: "error", message: "User not found" });
+    }
+
+    const sessions = await listActiveSessionsForUser(user.user_id);
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        user_id: user.user_id,
+        sessions: sessions.map((session) => toSessionSummary(session, req.user.session_id)),
+      },
+    });
+  } catch (err) {
+    console.error("User session list error:", err);
+    return res.status(500).json({ status: "error", message: "Internal server error" });
+  }
+}
+
+
+/**
+ * GET /api/sessions/schools/:schoolId (ADMIN, PRINCIPAL)
+ */
+export async function listSchoolSessionsController(req, res) {
+  try {
+    const { schoolId } = req.params;
+
+    if (!(await canOverseeSchool(req, schoolId))) {
+      return res.status(403).json({ status: "error", message: "You can only view sessions of your own school" });
+    }
+
+    const sessions = await listActiveSessionsForSchool(schoolId);
+
+    return res.status(200).json({
+      status: "success",
+      data: {
+        school_id: schoolId,
+        sessions: sessions.filter((session) => canManageUser(req, session)).map((session) => ({
+          ...toSessionSummary(session, req.user.session_id),
+          user_id: session.user_id,
+          full_name: session.full_name,
+          email: session.email,
+          role: session.role,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error("School session list error:", err);
+    return res.status(500).json({ status: "error", message: "Internal server error" });
+  }
+}
+
+
+/**
+ * POST /api/sessions/users/:userId/revoke (ADMIN, PRINCIPAL) - force logout one user
+ */
+export async function forceLogoutUserController(req, res) {
+  try {
+    const user = await findOverseenUser(req, req.params.userId);
+    if (!user) {
+      return res.status(404).json({ status: "error", message: "User not found" });
+    }
+
+    const revokedCount = await destroyAllSessionsForUser(user.user_id);
+
+    await recordAuditEvent(AUDIT_EVENTS.FORCED_LOGOUT, {
+      actorUserId: req.user.user_id,
+      targetUserId: user.user_id,
+      sessionId: req.user.session_id,
+      ...getClientInfo(req),
+      details: { scope: "user", revoked_count: revokedCount, reason: req.body?.reason },
+    });
+
+    return res.status(200).json({
+      status: "success",
+      message: "User logged out of all sessions",
+      data: { revoked_count: revokedCount },
+    });
+  } catch (err) {
+    console.error("Force logout user error:", err);
+    return res.status(500).json({ status: "error", message: "Internal server error" });
+  }
+}
+
+
+/**
+ * POST /api/sessions/schools/:schoolId/revoke (ADMIN, PRINCIPAL) - force logout a whole school
+ * The caller's own session is kept
+ */
+export async function forceLogoutSchoolController(req, res) {
+  try {
+    const { schoolId } = req.params;
+
+    if (!(await canOverseeSchool(req, schoolId))) {
+      return res.status(403).json({ status: "error", message: "You can only log out users of your own school" });
+    }
+
+    // Principals can't sign out admins or other principals of the school
+    const exceptRoles = req.user.role === "ADMIN" ? [] : ADMIN_MANAGED_ROLES;
+    const revokedCount = await destroyAllSessionsForSchool(schoolId, req.user.session_id, exceptRoles);
+
+    await recordAuditEvent(AUDIT_EVENTS.FORCED_LOGOUT, {
+      actorUserId: req.user.user_id,
+      sessionId: req.user.session_id,
+      ...getClientInfo(req),
+      details: { scope: "school", school_id: schoolId, revoked_count: revokedCount, reason: req.body?.reason },
+    });
+
+    return res.status(200).json({
+      status: "success",
+      message: "School logged out",
+      data: { revoked_count: revokedCount },
+    });
+  } catch (err) {
+    console.error("Force logout school error:", err);
+    return res.status(500).json({ status: "error", message: "Internal server error" });
+  }
+}
@@ -0,0 +1,44 @@
+import { listTrustedDevices, revokeTrustedDevice, revokeAllTrustedDevices } from '../services/trustedDeviceService.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+/**
+ * GET /api/auth/trusted-devices (auth)
+ */
+export async function getTrustedDevices(req, res) {
+  try {
+    const devices = await listTrustedDevices(req.user.user_id);
+    return successResponse(res, 200, 'Trusted devices', { devices });
+  } catch (err) {
+    console.error('Trusted device list error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * DELETE /api/auth/trusted-devices/:deviceId (auth)
+ */
+export async function removeTrustedDevice(req, res) {
+  try {
+    const revoked = await revokeTrustedDevice(req.user.user_id, req.params.deviceId);
+    if (!revoked) {
+      return errorResponse(res, 404, 'Trusted device not found');
+    }
+    return successResponse(res, 200, 'Device will ask for a code at next login');
+  } catch (err) {
+    console.error('Trusted device revoke error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * POST /api/auth/trusted-devices/revoke-all (auth)
+ */
+export async function removeAllTrustedDevices(req, res) {
+  try {
+    const revokedCount = await revokeAllTrustedDevices(req.user.user_id);
+    return successResponse(res, 200, 'All devices will ask for a code at next login', { revoked_count: revokedCount });
+  } catch (err) {
+    console.error('Trusted device revoke-all error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
@@ -0,0 +1,133 @@
+import {
+  getTotpStatus,
+  startTotpEnrolment,
+  confirmTotpEnrolment,
+  disableTotp,
+} from '../services/totpService.js';
+import {
+  generateRecoveryCodes,
+  countRemainingRecoveryCodes,
+} from '../services/recoveryCodeService.js';
+import { FACTORS, getMfaPolicy, isFactorPermitted } from '../services/mfaService.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+/**
+ * GET TOTP status for the logged-in user
+ */
+export async function totpStatus(req, res) {
+  try {
+    const status = await getTotpStatus(req.user.user_id);
+
+    return successResponse(res, 200, 'TOTP status', {
+      ...status,
+      policy: getMfaPolicy(req.user.role),
+    });
+  } catch (err) {
+    console.error('TOTP status error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * STEP 1: Start TOTP enrolment
+ * Returns the secret and otpauth:// URI to render as a QR code
+ */
+export async function enrollTotp(req, res) {
+  try {
+    if (!isFactorPermitted(req.user.role, FACTORS.TOTP)) {
+      return errorResponse(res, 403, 'TOTP is not allowed for this role');
+    }
+
+    const result = await startTotpEnrolment(req.user);
+    if (!result.started) {
+      return errorResponse(res, 409, 'TOTP is already enabled. Disable it before enrolling again');
+    }
+
+    return successResponse(res, 200, 'Scan the QR code and confirm with a code from your authenticator app', {
+      secret: result.secret,
+      otpauth_url: result.otpauthUri,
+    });
+  } catch (err) {
+    console.error('TOTP enrol error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * STEP 2: Confirm TOTP enrolment with a first code
+ */
+export async function confirmTotp(req, res) {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return errorResponse(res, 400, 'code is required');
+    }
+
+    const { valid, reason } = await confirmTotpEnrolment(req.user.user_id, code);
+    if (!valid) {
+      return errorResponse(res, 400, `Invalid TOTP: ${reason}`);
+    }
+
+    // Issue backup codes at enrolment so the user can't lock themselves out
+    const recoveryCodes = await generateRecoveryCodes(req.user.user_id);
+
+    return successResponse(res, 200, 'TOTP enabled. Store these recovery codes somewhere safe', {
+      recovery_codes: recoveryCodes,
+    });
+  } catch (err) {
+    console.error('TOTP confirm error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * Disable TOTP (requires a current code)
+ */
+export async function removeTotp(req, res) {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return errorResponse(res, 400, 'code is required');
+    }
+
+    const { valid, reason } = await disableTotp(req.user.user_id, code);
+    if (!valid) {
+      return errorResponse(res, 400, `Invalid TOTP: ${reason}`);
+    }
+
+    return successResponse(res, 200, 'TOTP disabled');
+  } catch (err) {
+    console.error('TOTP disable error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * GET number of unused recovery codes
+ */
+export async function recoveryCodeStatus(req, res) {
+  try {
+    const remaining = await countRemainingRecoveryCodes(req.user.user_id);
+
+    return successResponse(res, 200, 'Recovery codes', { remaining });
+  } catch (err) {
+    console.error('Recovery code status error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * Regenerate recovery codes (previous codes stop working)
+ */
+export async function regenerateRecoveryCodes(req, res) {
+  try {
+    const recoveryCodes = await generateRecoveryCodes(req.user.user_id);
+
+    return successResponse(res, 200, 'New recovery codes generated. Previous codes no longer work', {
+      recovery_codes: recoveryCodes,
+    });
+  } catch (err) {
+    console.error('Recovery code regenerate error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
@@ -1,11 +1,101 @@
 // src/controllers/userController.js
-import bcrypt from 'bcrypt';           // or 'bcryptjs' if you used that
 import validator from 'validator';
 import { query } from '../config/db.js';
-import crypto from 'crypto';
-const BCRYPT_ROUNDS = 10;
+import { config } from '../config/env.js';
+import { createOtpForUser, verifyUserOtp } from '../services/otpService.js';
+import { findUserByEmail, findUserByPhone, findUserProfileById, isUserActive } from '../services/userService.js';
+import {
+  EMAIL_LINK_PURPOSES,
+  createEmailLinkToken,
+  peekEmailLinkToken,
+  consumeEmailLinkToken,
+  buildEmailLinkUrl,
+} from '../services/emailLinkService.js';
+import {
+  getPasswordPolicy,
+  generateTemporaryPassword,
+  validateNewPassword,
+  recordPasswordHistory,
+  setUserPassword,
+} from '../services/passwordPolicyService.js';
+import { sendEmailLink, sendSecurityNotification, sendTemporaryPassword } from '../services/notificationService.js';
+import { destroyAllSessionsForUser, destroyOtherSessionsForUser } from '../services/sessionService.js';
+import { clearLoginFailures, consumeOtpSendQuota } from '../services/throttleService.js';
+import { revokeAllTrustedDevices } from '../services/trustedDeviceService.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { getClientInfo } from '../utils/request.js';
+import { hasRecentAuth, sendReauthenticationRequired } from '../middleware/stepUpMiddleware.js';
+import { canManageUser } from '../middleware/roleMiddleware.js';
 const ALLOWED_ROLES = ['PRINCIPAL', 'TEACHER', 'PARENT', 'ADMIN', 'STUDENT'];
 const ALLOWED_GENDER = ['M', 'F', 'O'];
+const OTP_TYPE_PASSWORD_RESET = 'PASSWORD_RESET';
+const PASSWORD_DELIVERY_CHANNELS = ['sms', 'email'];
+
+// API keys (machine integrations) are bound to one school and manage ordinary accounts only -
+// never the admins and principals who run the school, as the target or as the assigned role
+const API_KEY_RESTRICTED_ROLES = ['ADMIN', 'PRINCIPAL'];
+
+function isApiKeyRequest(req) {
+  return req.user?.auth_type === 'api_key';
+}
+
+function isRestrictedForApiKey(req, role) {
+  return isApiKeyRequest(req) && API_KEY_RESTRICTED_ROLES.includes(role);
+}
+
+/**
+ * Helper: the user an update / status change targets, as { user } or { status, message }
+ * when the caller may not touch them
+ */
+async function findManagedUser(req, userId) {
+  const { rows } = await query('SELECT user_id, school_id, role FROM public.users WHERE user_id = $1', [userId]);
+  const user = rows[0];
+
+  if (!user || (isApiKeyRequest(req) && String(user.school_id) !== String(req.user.school_id))) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (isRestrictedForApiKey(req, user.role)) {
+    return { status: 403, message: 'API keys cannot manage ADMIN or PRINCIPAL users' };
+  }
+
+  return { user };
+}
+
+// Principals only manage users of their own school (admins manage every school)
+async function isOutsideCallerSchool(req, schoolId) {
+  if (isApiKeyRequest(req) || req.user?.role === 'ADMIN') return false;
+
+  const profile = await findUserProfileById(req.user.user_id);
+  return profile?.school_id == null || String(profile.school_id) !== String(schoolId);
+}
+
+/**
+ * Helper: the user a status change (deactivate / activate / unlock) targets - findManagedUser,
+ * plus the caller's school and, for principals, no admins or other principals
+ */
+async function findStatusChangeTarget(req, userId) {
+  const target = await findManagedUser(req, userId);
+  if (!target.user) return target;
+
+  if (await isOutsideCallerSchool(req, target.user.school_id)) {
+    return { status: 404, message: 'User not found' };
+  }
+  if (!isApiKeyRequest(req) && !canManageUser(req, target.user)) {
+    return { status: 403, message: 'Only an ADMIN can manage ADMIN or PRINCIPAL users' };
+  }
+
+  return target;
+}
+
+// Same shape for every password-setting endpoint so the frontend can list what to fix
+export function sendPasswordPolicyViolation(res, violations, message = 'Password does not meet the password policy') {
+  return res.status(400).json({
+    status: 'error',
+    message,
+    code: 'password_policy_violation',
+    violations,
+  });
+}
 
 export async function registerUser(req, res) {
   try {
@@ -28,9 +118,11 @@ export async function registerUser(req, res) {
       city,
       state,
       pincode,
+      deliver_password_via, // optional: 'sms' | 'email' | ['sms', 'email']
     } = req.body;
 
     const normalizedRole = role ? role.toString().trim().toUpperCase() : null;
+    const deliveryChannels = [].concat(deliver_password_via || []).map((c) => String(c).toLowerCase());
     const normalizedGender = gender ? gender.toString().trim().toUpperCase() : null;
 
 
@@ -41,10 +133,17 @@ export async function registerUser(req, res) {
     //     message: 'school_id, username, email, phone, password, full_name, and role are required',
     //   });
     // }
-    if (!school_id || !username || !email || !phone || !password || !full_name || !normalizedRole) {
+    if (!school_id || !username || !email || !phone || !full_name || !normalizedRole) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'school_id, username, email, phone, full_name, and role are required',
+      });
+    }
+
+    if (deliveryChannels.some((c) => !PASSWORD_DELIVERY_CHANNELS.includes(c))) {
       return res.status(400).json({
         status: 'error',
-        message: 'school_id, username, email, phone, password, full_name, and role are required',
+        message: `Invalid deliver_password_via. Allowed values: ${PASSWORD_DELIVERY_CHANNELS.join(', ')}`,
       });
     }
 
@@ -65,6 +164,28 @@ export async function registerUser(req, res) {
       });
     }
 
+    if (isApiKeyRequest(req)) {
+      if (String(school_id) !== String(req.user.school_id)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'API key is not valid for this school',
+        });
+      }
+      if (isRestrictedForApiKey(req, normalizedRole)) {
+        return res.status(403).json({
+          status: 'error',
+          message: 'API keys cannot create ADMIN or PRINCIPAL users',
+        });
+      }
+      // The password goes to the new user - a machine caller never gets to see it
+      if (!deliveryChannels.length) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'deliver_password_via is required when registering with an API key',
+        });
+      }
+    }
+
     // 4. Gender validation (optional)
     // if (gender && !ALLOWED_GENDER.includes(gender)) {
     //   return res.status(400).json({
@@ -80,17 +201,25 @@ export async function registerUser(req, res) {
     }
 
 
-    // 5. Hash password with bcrypt (10 rounds)
-    // const password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
-
-    function hashPassword(password) {
-      return crypto.createHash('sha256').update(password).digest('hex'); // 64 chars
+    // 5. Temporary password - the user must replace it at first login. Generated unless the
+    //    caller supplies one, which then has to meet the school's password policy.
+    let passwordCheck = { warnings: [] };
+    if (password) {
+      passwordCheck = await validateNewPassword(password, {
+        schoolId: school_id,
+        user: { full_name, username, email, phone },
+      });
+      if (!passwordCheck.valid) {
+        return sendPasswordPolicyViolation(res, passwordCheck.violations);
+      }
     }
-    const password_hash = hashPassword(password);
-    // console.log('hashed password:', password_hash); // will be 64-char hex
+    const temporaryPassword = password || generateTemporaryPassword(school_id);
 
+    // 6. Hash password (algorithm + cost from config.password)
+    const password_hash = await hashPassword(temporaryPassword);
 
-    // 6. Insert user into DB
+
+    // 7. Insert user into DB
     const insertSql = `
       INSERT INTO public.users (
         school_id,
@@ -113,14 +242,15 @@ export async function registerUser(req, res) {
         pincode,
         is_active,
         email_verified,
-        phone_verified
+        phone_verified,
+        must_change_password
       )
       VALUES (
         $1, $2, $3, $4, $5, $6,
         $7, $8, $9, $10, $11,
         $12, $13, $14, $15,
         $16, $17, $18,
-        true, false, false
+        true, false, false, true
       )
       RETURNING
         user_id,
@@ -190,6 +320,16 @@ export async function registerUser(req, res) {
     const { rows } = await query(insertSql, params);
     const newUser = rows[0];
 
+    await recordPasswordHistory(newUser.user_id, password_hash, school_id);
+
+    if (deliveryChannels.length) {
+      await sendTemporaryPassword(newUser, {
+        password: temporaryPassword,
+        channels: deliveryChannels,
+        loginUrl: config.emailLinks.baseUrl,
+      });
+    }
+
     // Make sure role/gender in response are consistent
     newUser.role = normalizedRole;
     if (normalizedGender) newUser.gender = normalizedGender;
@@ -199,6 +339,11 @@ export async function registerUser(req, res) {
       status: 'success',
       message: 'User registered successfully',
       data: newUser,
+      must_change_password: true,
+      // A generated password nobody was sent is shown once, for the creator to hand over
+      ...(!password && !deliveryChannels.length && !isApiKeyRequest(req) && { temporary_password: temporaryPassword }),
+      ...(deliveryChannels.length && { temporary_password_sent_via: deliveryChannels }),
+      ...(passwordCheck.warnings.length && { password_warnings: passwordCheck.warnings }),
     });
 
   } catch (err) {
@@ -610,6 +755,19 @@ export async function updateUser(req, res) {
       pincode
     } = req.body;
 
+    const target = await findManagedUser(req, id);
+    if (!target.user) {
+      return res.status(target.status).json({ status: "error", message: target.message });
+    }
+    if (isRestrictedForApiKey(req, role)) {
+      return res.status(403).json({ status: "error", message: "API keys cannot assign the ADMIN or PRINCIPAL role" });
+    }
+
+    // Changing someone's role is a sensitive operation - ask for a fresh authentication
+    if (target.user.role !== role && !hasRecentAuth(req)) {
+      return sendReauthenticationRequired(res);
+    }
+
     const sql = `
       UPDATE public.users
       SET full_name = $1,
@@ -643,6 +801,11 @@ export async function updateUser(req, res) {
       return res.status(404).json({ status: "error", message: "User not found" });
     }
 
+    // Tokens carry the role - sessions issued under the old one must not outlive the change
+    if (target.user.role !== rows[0].role) {
+      await destroyAllSessionsForUser(id);
+    }
+
     return res.status(200).json({
       status: "success",
       message: "User updated successfully",
@@ -660,6 +823,11 @@ export async function deactivateUser(req, res) {
   try {
     const { id } = req.params;
 
+    const target = await findStatusChangeTarget(req, id);
+    if (!target.user) {
+      return res.status(target.status).json({ status: "error", message: target.message });
+    }
+
     const sql = `
       UPDATE public.users
       SET is_active = false, updated_at = NOW()
@@ -673,6 +841,8 @@ export async function deactivateUser(req, res) {
       return res.status(404).json({ status: "error", message: "User not found" });
     }
 
+    await destroyAllSessionsForUser(id);
+
     return res.status(200).json({
       status: "success",
       message: "User deactivated successfully",
@@ -689,6 +859,11 @@ export async function activateUser(req, res) {
   try {
     const { id } = req.params;
 
+    const target = await findStatusChangeTarget(req, id);
+    if (!target.user) {
+      return res.status(target.status).json({ status: "error", message: target.message });
+    }
+
     const sql = `
       UPDATE public.users
       SET is_active = true, updated_at = NOW()
@@ -713,6 +888,29 @@ export async function activateUser(req, res) {
 }
 
 
+export async function unlockUser(req, res) {
+  try {
+    const { id } = req.params;
+
+    const target = await findStatusChangeTarget(req, id);
+    if (!target.user) {
+      return res.status(target.status).json({ status: "error", message: target.message });
+    }
+
+    // Clears the failed-login counter and any temporary lockout
+    await clearLoginFailures(id);
+
+    return res.status(200).json({
+      status: "success",
+      message: "User unlocked successfully",
+    });
+  } catch (err) {
+    console.error("Unlock error:", err);
+    return res.status(500).json({ status: "error", message: "Internal server error" });
+  }
+}
+
+
 export async function verifyEmail(req, res) {
   try {
     const { id } = req.params;
@@ -769,20 +967,43 @@ export async function changePassword(req, res) {
     const { id } = req.params;
     const { old_password, new_password } = req.body;
 
+    // A restricted (temporary / expired password) login may only change its own password
+    const isRestrictedLogin = Boolean(req.user.password_change_required);
+    if (isRestrictedLogin && String(req.user.user_id) !== String(id)) {
+      return res.status(403).json({ message: "Password change required", code: "password_change_required" });
+    }
+
     const { rows } = await query("SELECT password_hash FROM public.users WHERE user_id = $1", [id]);
     if (!rows.length) return res.status(404).json({ message: "User not found" });
 
-    const oldHash = crypto.createHash("sha256").update(old_password).digest("hex");
+    const isValidOld = await verifyPassword(old_password, rows[0].password_hash);
 
-    if (oldHash !== rows[0].password_hash) {
+    if (!isValidOld) {
       return res.status(401).json({ message: "Old password incorrect" });
     }
 
-    const newHash = crypto.createHash("sha256").update(new_password).digest("hex");
+    const user = await findUserProfileById(id);
+    const passwordCheck = await validateNewPassword(new_password, { user });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyViolation(res, passwordCheck.violations);
+    }
 
-    await query("UPDATE public.users SET password_hash = $1 WHERE user_id = $2", [newHash, id]);
+    await setUserPassword(user, new_password);
 
-    return res.json({ status: "success", message: "Password changed" });
+    // Sign out everywhere else - the user changing their own password keeps this session,
+    // except a restricted one: they log in again with the new password for a full session
+    if (String(req.user.user_id) === String(id) && !isRestrictedLogin) {
+      await destroyOtherSessionsForUser(id, req.user.session_id);
+    } else {
+      await destroyAllSessionsForUser(id);
+    }
+    await revokeAllTrustedDevices(id);
+
+    return res.json({
+      status: "success",
+      message: isRestrictedLogin ? "Password changed. Please log in again" : "Password changed",
+      ...(passwordCheck.warnings.length && { password_warnings: passwordCheck.warnings }),
+    });
 
   } catch (err) {
     console.error(err);
@@ -860,13 +1081,6 @@ export async function getUserBySchoolId(req, res) {
 }
 
 
-function generateOtp(len = 6) {
-  return Math.floor(10 ** (len - 1) + Math.random() * 9 * 10 ** (len - 1)).toString();
-}
-
-const OTP_TTL_MINUTES = 10;
-const OTP_TYPE_PASSWORD_RESET = "PASSWORD_RESET";
-
 export async function sendPasswordResetOtp(req, res) {
   try {
     const { phone } = req.body;
@@ -874,46 +1088,33 @@ export async function sendPasswordResetOtp(req, res) {
       return res.status(400).json({ message: "phone is required" });
     }
 
-    // 1) Find user by phone (phone is unique in users table)
-    const userRes = await query(
-      `SELECT user_id FROM public.users WHERE phone = $1`,
-      [phone]
-    );
-
-    if (!userRes.rows.length) {
-      return res.status(404).json({ message: "User with this phone not found" });
+    // 1) Per-phone / per-IP send quota (counted before the lookup so unknown numbers count too)
+    const { ip } = getClientInfo(req);
+    const quota = await consumeOtpSendQuota({ phone, ip });
+    if (!quota.allowed) {
+      res.set("Retry-After", String(quota.retryAfterSeconds));
+      return res.status(429).json({
+        status: "error",
+        message: "Too many OTP requests. Try again later",
+        retry_after: quota.retryAfterSeconds,
+      });
     }
 
-    const userId = userRes.rows[0].user_id;
-    const otp = generateOtp(6);
-    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
-
-    // 2) Mark previous unused PASSWORD_RESET OTPs as used
-    await query(
-      `UPDATE public.users_otps
-         SET is_used = true
-       WHERE user_id = $1
-         AND phone = $2
-         AND otp_type = $3
-         AND is_used = false`,
-      [userId, phone, OTP_TYPE_PASSWORD_RESET]
-    );
+    // 2) Find user by phone (phone is unique in users table)
+    const user = await findUserByPhone(phone);
 
-    // 3) Insert new OTP row
-    await query(
-      `INSERT INTO public.users_otps
-         (user_id, phone, email, otp_code, otp_type, is_used,
-          expires_at, attempts_count, max_attempts, ip_address)
-       VALUES ($1,$2,NULL,$3,$4,false,$5,0,3,$6)`,
-      [userId, phone, otp, OTP_TYPE_PASSWORD_RESET, expiresAt, req.ip || null]
-    );
+    if (!user) {
+      return res.status(404).json({ message: "User with this phone not found" });
+    }
 
-    // 4) Send SMS here (integrate your SMS provider)
-    console.log(`Password reset OTP for ${phone}: ${otp}`);
+    // 3) Issue + deliver OTP (earlier pending reset codes are invalidated by the OTP service)
+    const { otpCode, expiresIST } = await createOtpForUser(user, phone, OTP_TYPE_PASSWORD_RESET, { ip });
 
     return res.json({
       status: "success",
-      message: `OTP sent to registered mobile number : ${phone} is ${otp}`
+      message: "OTP sent to registered mobile number",
+      expires_at: expiresIST,
+      ...(config.otp.exposeInResponse && { otp: otpCode }), // development only
     });
   } catch (err) {
     console.error("sendPasswordResetOtp error:", err);
@@ -921,10 +1122,6 @@ export async function sendPasswordResetOtp(req, res) {
   }
 }
 
-function hashPasswordSHA256(plain) {
-  return crypto.createHash("sha256").update(plain).digest("hex");
-}
-
 export async function changePasswordWithOtp(req, res) {
   try {
     const { phone, otp, new_password } = req.body;
@@ -935,76 +1132,176 @@ export async function changePasswordWithOtp(req, res) {
         .json({ message: "phone, otp and new_password are required" });
     }
 
-    // 1) Get latest valid OTP for this phone
-    const otpRes = await query(
-      `SELECT otp_id, user_id, attempts_count, max_attempts
-         FROM public.users_otps
-        WHERE phone = $1
-          AND otp_code = $2
-          AND otp_type = $3
-          AND is_used = false
-          AND expires_at > NOW()
-        ORDER BY created_at DESC
-        LIMIT 1`,
-      [phone, otp, OTP_TYPE_PASSWORD_RESET]
-    );
+    const user = await findUserByPhone(phone);
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired OTP" });
+    }
 
-    if (!otpRes.rows.length) {
-      // optional: bump attempts on latest OTP for this phone/type
-      await query(
-        `UPDATE public.users_otps
-            SET attempts_count = attempts_count + 1
-          WHERE otp_id = (
-            SELECT otp_id FROM public.users_otps
-             WHERE phone = $1
-               AND otp_type = $2
-               AND is_used = false
-             ORDER BY created_at DESC
-             LIMIT 1
-          )`,
-        [phone, OTP_TYPE_PASSWORD_RESET]
-      );
+    // 1) Composition rules first, so a weak password doesn't use up the OTP. Rules that need the
+    //    account (personal info, history) wait until the OTP proves who is asking.
+    const profile = await findUserProfileById(user.user_id);
+    const rulesCheck = await validateNewPassword(new_password, { schoolId: profile.school_id });
+    if (!rulesCheck.valid) {
+      return sendPasswordPolicyViolation(res, rulesCheck.violations);
+    }
 
+    // 2) Verify + consume the latest PASSWORD_RESET OTP for this phone
+    const { valid, reason } = await verifyUserOtp(user.user_id, phone, otp, OTP_TYPE_PASSWORD_RESET);
+
+    if (!valid) {
+      if (reason === "otp_locked") {
+        return res
+          .status(400)
+          .json({ message: "Maximum OTP attempts exceeded. Request a new OTP." });
+      }
       return res.status(400).json({ message: "Invalid or expired OTP" });
     }
 
-    const { otp_id, user_id, attempts_count, max_attempts } = otpRes.rows[0];
-
-    if (attempts_count >= max_attempts) {
-      // mark used/blocked
-      await query(
-        `UPDATE public.users_otps
-            SET is_used = true
-          WHERE otp_id = $1`,
-        [otp_id]
+    const passwordCheck = await validateNewPassword(new_password, { user: profile });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyViolation(
+        res,
+        passwordCheck.violations,
+        "Password does not meet the password policy. Request a new OTP and try again"
       );
-      return res
-        .status(400)
-        .json({ message: "Maximum OTP attempts exceeded. Request a new OTP." });
     }
 
-    const newHash = hashPasswordSHA256(new_password);
+    // 3) Update password
+    await setUserPassword(profile, new_password);
 
-    // 2) Update password
-    await query(
-      `UPDATE public.users
-          SET password_hash = $1
-        WHERE user_id = $2`,
-      [newHash, user_id]
-    );
+    // 4) Sign out every existing session and forget trusted devices (same as the email reset link)
+    await destroyAllSessionsForUser(user.user_id);
+    await revokeAllTrustedDevices(user.user_id);
+
+    return res.json({
+      status: "success",
+      message: "Password changed",
+      ...(passwordCheck.warnings.length && { password_warnings: passwordCheck.warnings }),
+    });
+  } catch (err) {
+    console.error("changePasswordWithOtp error:", err);
+    return res.status(500).json({ status: "error" });
+  }
+}
+
+export async function sendPasswordResetLink(req, res) {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "email is required" });
+    }
+
+    // 1) Per-email / per-IP send quota
+    const { ip } = getClientInfo(req);
+    const quota = await consumeOtpSendQuota({ email, ip });
+    if (!quota.allowed) {
+      res.set("Retry-After", String(quota.retryAfterSeconds));
+      return res.status(429).json({
+        status: "error",
+        message: "Too many reset requests. Try again later",
+        retry_after: quota.retryAfterSeconds,
+      });
+    }
+
+    const { ttlMinutes, path } = config.emailLinks.passwordReset;
+    const genericResponse = () =>
+      res.json({
+        status: "success",
+        message: "If an account exists for this email, a password reset link has been sent",
+        expires_in_minutes: ttlMinutes,
+      });
+
+    // 2) Same answer whether or not the account exists
+    const user = await findUserByEmail(email);
+    if (!isUserActive(user)) {
+      return genericResponse();
+    }
+
+    // 3) Issue + email the link (earlier pending reset links stop working)
+    const { token } = await createEmailLinkToken(user.user_id, EMAIL_LINK_PURPOSES.PASSWORD_RESET, {
+      ttlMinutes,
+      ip,
+    });
+
+    await sendEmailLink(user.email, "Reset Your Password", {
+      heading: "Reset your password",
+      intro: "We received a request to reset your password. Click the button below to choose a new one.",
+      actionLabel: "Reset password",
+      url: buildEmailLinkUrl(path, token),
+      ttlMinutes,
+    });
+
+    return genericResponse();
+  } catch (err) {
+    console.error("sendPasswordResetLink error:", err);
+    return res.status(500).json({ status: "error" });
+  }
+}
+
+export async function resetPasswordWithToken(req, res) {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+      return res.status(400).json({ message: "token and new_password are required" });
+    }
+
+    // 1) Check the reset token (expiry, single use) without using it up yet
+    const link = await peekEmailLinkToken(token, EMAIL_LINK_PURPOSES.PASSWORD_RESET);
+    if (!link.valid) {
+      return res.status(400).json({ message: "Invalid or expired reset link" });
+    }
 
-    // 3) Mark OTP used + increment attempts_count
-    await query(
-      `UPDATE public.users_otps
-          SET is_used = true,
-              attempts_count = attempts_count + 1
-        WHERE otp_id = $1`,
-      [otp_id]
+    const user = await findUserProfileById(link.userId);
+    if (!isUserActive(user)) {
+      return res.status(400).json({ message: "Invalid or expired reset link" });
+    }
+
+    // 2) A rejected password leaves the link usable for another try
+    const passwordCheck = await validateNewPassword(new_password, { user });
+    if (!passwordCheck.valid) {
+      return sendPasswordPolicyViolation(res, passwordCheck.violations);
+    }
+
+    // 3) Consume the token (a concurrent request with the same link loses) and update the password
+    const { valid, userId } = await consumeEmailLinkToken(token, EMAIL_LINK_PURPOSES.PASSWORD_RESET);
+    if (!valid || String(userId) !== String(user.user_id)) {
+      return res.status(400).json({ message: "Invalid or expired reset link" });
+    }
+
+    await setUserPassword(user, new_password);
+
+    // 4) Sign out everywhere, forget trusted devices and lift any lockout - whoever had the old password is out
+    await destroyAllSessionsForUser(user.user_id);
+    await revokeAllTrustedDevices(user.user_id);
+    await clearLoginFailures(user.user_id);
+
+    await sendSecurityNotification(
+      user,
+      "Your password was changed",
+      "The password for your account was just reset using an email link and all devices were signed out."
     );
 
-    return res.json({ status: "success", message: "Password changed" });
+    return res.json({
+      status: "success",
+      message: "Password changed. Please log in again",
+      ...(passwordCheck.warnings.length && { password_warnings: passwordCheck.warnings }),
+    });
   } catch (err) {
-    console.error("changePasswordWithOtp error:", err);
+    console.error("resetPasswordWithToken error:", err);
+    return res.status(500).json({ status: "error" });
+  }
+}
+
+/**
+ * GET /api/users/password/policy?school_id=
+ * The rules a new password must meet, so the frontend can show them up front
+ */
+export async function getPasswordPolicyRules(req, res) {
+  try {
+    return res.json({ status: "success", policy: getPasswordPolicy(req.query.school_id) });
+  } catch (err) {
+    console.error("getPasswordPolicyRules error:", err);
     return res.status(500).json({ status: "error" });
   }
 }
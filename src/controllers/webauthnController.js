@@ -0,0 +1,137 @@
+import {
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication,
+  listCredentials,
+  deleteCredential,
+} from '../services/webauthnService.js';
+import { findUserByEmailAndRole, isUserActive } from '../services/userService.js';
+import { FACTORS, isFactorPermitted } from '../services/mfaService.js';
+import { checkLoginAllowed, recordLoginFailure } from '../services/throttleService.js';
+import { sendOneStepLogin, sendThrottled } from './authController.js';
+import { getClientInfo } from '../utils/request.js';
+import { successResponse, errorResponse } from '../utils/response.js';
+
+/**
+ * Passkey registration STEP 1: creation options for the logged-in user
+ */
+export async function registrationOptions(req, res) {
+  try {
+    if (!isFactorPermitted(req.user.role, FACTORS.WEBAUTHN)) {
+      return errorResponse(res, 403, 'Passkeys are not allowed for this role');
+    }
+
+    const options = await createRegistrationOptions(req.user);
+
+    return successResponse(res, 200, 'Registration options', { options });
+  } catch (err) {
+    console.error('WebAuthn registration options error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * Passkey registration STEP 2: verify attestation and store credential
+ */
+export async function registrationVerify(req, res) {
+  try {
+    const { response, name } = req.body || {};
+    if (!response) {
+      return errorResponse(res, 400, 'response is required');
+    }
+
+    const { valid, reason, credentialId } = await verifyRegistration(req.user, response, name);
+    if (!valid) {
+      return errorResponse(res, 400, `Passkey registration failed: ${reason}`);
+    }
+
+    return successResponse(res, 201, 'Passkey registered', { credential_id: credentialId });
+  } catch (err) {
+    console.error('WebAuthn registration verify error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * Passkey login STEP 1: request options
+ * email + role narrow the allowed credentials; without them the browser offers discoverable passkeys
+ */
+export async function authenticationOptions(req, res) {
+  try {
+    const { email, role } = req.body || {};
+
+    let user = null;
+    if (email && role) {
+      user = await findUserByEmailAndRole(email, role);
+    }
+
+    // Unknown users get generic options so the endpoint can't be used to probe accounts
+    const options = await createAuthenticationOptions(isUserActive(user) ? user : null);
+
+    return successResponse(res, 200, 'Authentication options', { options });
+  } catch (err) {
+    console.error('WebAuthn authentication options error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * Passkey login STEP 2: verify assertion and create session (same issuance as final-login)
+ */
+export async function authenticationVerify(req, res) {
+  try {
+    const { response, role } = req.body || {};
+    if (!response) {
+      return errorResponse(res, 400, 'response is required');
+    }
+
+    const { ip } = getClientInfo(req);
+    const ipGate = await checkLoginAllowed({ ip });
+    if (!ipGate.allowed) {
+      return sendThrottled(res, ipGate);
+    }
+
+    const { valid, reason, userId } = await verifyAuthentication(response);
+    if (!valid) {
+      await recordLoginFailure({ ip });
+      return errorResponse(res, 401, `Passkey login failed: ${reason}`);
+    }
+
+    return sendOneStepLogin(req, res, userId, FACTORS.WEBAUTHN, { role, label: 'Passkey' });
+  } catch (err) {
+    console.error('WebAuthn authentication verify error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * GET passkeys registered by the logged-in user
+ */
+export async function getCredentials(req, res) {
+  try {
+    const credentials = await listCredentials(req.user.user_id);
+
+    return successResponse(res, 200, 'Passkeys', { credentials });
+  } catch (err) {
+    console.error('WebAuthn list credentials error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
+
+/**
+ * DELETE one of the logged-in user's passkeys
+ */
+export async function removeCredential(req, res) {
+  try {
+    const deleted = await deleteCredential(req.user.user_id, req.params.credentialId);
+    if (!deleted) {
+      return errorResponse(res, 404, 'Passkey not found');
+    }
+
+    return successResponse(res, 200, 'Passkey removed');
+  } catch (err) {
+    console.error('WebAuthn delete credential error:', err);
+    return errorResponse(res, 500, 'Internal server error', err.message);
+  }
+}
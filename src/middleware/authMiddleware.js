@@ -1,24 +1,61 @@
-import jwt from "jsonwebtoken";
-import { config } from "../config/env.js";
+import { verifyJwtOrThrow } from "../utils/jwt.js";
 import { logError } from "./logger.js";
+import { resolveActiveSession } from "../services/sessionService.js";
+import { verifyApiKey } from "../services/apiKeyService.js";
+import { normalizeIp } from "../utils/request.js";
 
 //RBAC implemented here
-export function authenticate(req, res, next) {
+export async function authenticate(req, res, next) {
+  return authenticateRequest(req, res, next, { allowClientTokens: false });
+}
+
+/**
+ * Same as authenticate, but also accepts access tokens issued to OIDC clients
+ * (only for OIDC endpoints such as /oauth/userinfo)
+ */
+export async function authenticateOidcToken(req, res, next) {
+  return authenticateRequest(req, res, next, { allowClientTokens: true });
+}
+
+/**
+ * Same as authenticate, but also accepts the restricted token given to users who must change
+ * a temporary or expired password (only for the change-password call)
+ */
+export async function authenticatePasswordChange(req, res, next) {
+  return authenticateRequest(req, res, next, { allowClientTokens: false, allowPasswordChange: true });
+}
+
+/**
+ * Same as authenticate, but also accepts an API key (X-API-Key header) that carries all of
+ * the given scopes. Only routes that list scopes here can be used by machine integrations.
+ */
+export function authenticateOrApiKey(...requiredScopes) {
+  return (req, res, next) =>
+    authenticateRequest(req, res, next, { allowClientTokens: false, apiKeyScopes: requiredScopes });
+}
+
+async function authenticateRequest(req, res, next, { allowClientTokens, allowPasswordChange = false, apiKeyScopes = null }) {
+  if (req.headers["x-api-key"]) {
+    if (!apiKeyScopes) {
+      return res.status(401).json({ message: "API keys are not accepted for this route" });
+    }
+    return authenticateApiKey(req, res, next, apiKeyScopes);
+  }
+
   const token = req.headers.authorization?.split(" ")[1];
 
   if (!token) {
     return res.status(401).json({ message: "No token provided" });
   }
 
+  let decoded;
   try {
-    // Use the same JWT secret from config to ensure consistency
-    const decoded = jwt.verify(token, config.jwt.secret);
-    req.user = decoded;
-    next();
+    // Verified against the keystore public key named in the token's kid header
+    decoded = await verifyJwtOrThrow(token);
   } catch (error) {
     // Log the error for debugging
     logError(error, `JWT Verification Failed - ${req.method} ${req.url}`);
-    
+
     // Return appropriate error message
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ message: "Token expired" });
@@ -28,4 +65,72 @@ export function authenticate(req, res, next) {
     }
     return res.status(401).json({ message: "Authentication failed" });
   }
+
+  // Every token must belong to a live session so logout / revocation takes effect immediately
+  if (!decoded.session_id) {
+    return res.status(401).json({ message: "Invalid token: no session" });
+  }
+
+  // Tokens handed to relying parties must not unlock the rest of the API
+  if (decoded.client_id && !allowClientTokens) {
+    return res.status(401).json({ message: "Invalid token: issued to an OIDC client" });
+  }
+
+  // A temporary / expired password must be replaced before the account can be used
+  if (decoded.password_change_required && !allowPasswordChange) {
+    return res.status(403).json({ message: "Password change required", code: "password_change_required" });
+  }
+
+  try {
+    const result = await resolveActiveSession(decoded.session_id);
+
+    if (!result.valid) {
+      return res.status(401).json({ message: `Invalid session: ${result.reason}` });
+    }
+
+    if (String(result.session.user_id) !== String(decoded.user_id)) {
+      return res.status(401).json({ message: "Invalid session: user mismatch" });
+    }
+
+    if (String(result.session.impersonator_user_id || "") !== String(decoded.impersonator_id || "")) {
+      return res.status(401).json({ message: "Invalid session: impersonation mismatch" });
+    }
+
+    req.user = decoded;
+    req.session = result.session;
+  } catch (error) {
+    logError(error, `Session Lookup Failed - ${req.method} ${req.url}`);
+    return res.status(500).json({ message: "Authentication failed" });
+  }
+
+  next();
+}
+
+async function authenticateApiKey(req, res, next, requiredScopes) {
+  try {
+    const result = await verifyApiKey(req.headers["x-api-key"], normalizeIp(req));
+
+    if (!result.valid) {
+      return res.status(401).json({ message: `Invalid API key: ${result.reason}` });
+    }
+
+    const { apiKey } = result;
+    const missing = requiredScopes.filter((scope) => !apiKey.scopes.includes(scope));
+    if (missing.length) {
+      return res.status(403).json({ message: "Forbidden: API key is missing scopes", required: missing });
+    }
+
+    // No user behind the request - controllers check auth_type and school_id instead
+    req.user = {
+      auth_type: "api_key",
+      api_key_id: apiKey.key_id,
+      school_id: apiKey.school_id,
+      scopes: apiKey.scopes,
+    };
+  } catch (error) {
+    logError(error, `API Key Lookup Failed - ${req.method} ${req.url}`);
+    return res.status(500).json({ message: "Authentication failed" });
+  }
+
+  next();
 }
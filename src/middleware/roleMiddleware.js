@@ -1,9 +1,38 @@
 import { logError } from "./logger.js";
 
-export function authorizeRoles(...allowedRoles) {
+// Accounts only an ADMIN may oversee or manage - a PRINCIPAL handles the rest of their school
+export const ADMIN_MANAGED_ROLES = ["ADMIN", "PRINCIPAL"];
+
+/**
+ * May the caller manage this user's account or sessions? (ADMINs anyone, others themselves and
+ * users outside ADMIN_MANAGED_ROLES - school scoping is checked separately)
+ */
+export function canManageUser(req, user) {
+  if (req.user?.role === "ADMIN" || String(user.user_id) === String(req.user?.user_id)) return true;
+  return !ADMIN_MANAGED_ROLES.includes(user.role);
+}
+
+/**
+ * Allow only the given roles. API keys have no role and are rejected unless the route opts in
+ * with a trailing { allowApiKeys: true } - they are then authorised by scope (authenticateOrApiKey)
+ */
+export function authorizeRoles(...args) {
+    const options = typeof args[args.length - 1] === "object" ? args.pop() : {};
+    const allowedRoles = args;
+
     return (req, res, next) => {
       try {
         const user = req.user;
+
+        if (user?.auth_type === "api_key") {
+          if (options.allowApiKeys) {
+            return next();
+          }
+          return res.status(403).json({
+            message: "Forbidden: API keys are not accepted here",
+            required: allowedRoles
+          });
+        }
   
         if (!user || !user.role) {
           return res.status(401).json({ 
@@ -30,4 +59,23 @@ export function authorizeRoles(...allowedRoles) {
         res.status(500).json({ message: "Server error in RBAC" });
       }
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Block sensitive account actions (passwords, second factors, user management, SSO) while an
+ * admin is impersonating the user - must run after authenticate
+ */
+export function forbidImpersonation(req, res, next) {
+  if (req.user?.impersonator_id) {
+    logError(
+      new Error(`Admin ${req.user.impersonator_id} blocked while impersonating user ${req.user.user_id}`),
+      `Impersonation Restriction - ${req.method} ${req.url}`
+    );
+    return res.status(403).json({
+      message: "Forbidden: not allowed while impersonating a user",
+      code: "impersonation_restricted",
+    });
+  }
+
+  next();
+}
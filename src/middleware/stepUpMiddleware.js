@@ -0,0 +1,60 @@
+import { config } from "../config/env.js";
+
+/**
+ * Step-up authentication: sensitive operations need a login or re-authentication
+ * (POST /api/auth/reauthenticate) within the last few minutes, read from the token's
+ * auth_time claim. Must run after authenticate.
+ */
+
+const REAUTHENTICATION_METHODS = ["password", "otp", "totp"];
+
+/**
+ * Did the user authenticate within maxAgeMinutes?
+ * API keys are non-interactive and are limited by their scopes instead
+ */
+export function hasRecentAuth(req, maxAgeMinutes = config.stepUp.maxAgeMinutes) {
+  if (req.user?.auth_type === "api_key") return true;
+
+  // Restricted password-change sessions are short-lived and only reach the change-password call,
+  // which checks the current password itself
+  if (req.user?.password_change_required) return true;
+
+  const authTime = Number(req.user?.auth_time);
+  if (!authTime) return false;
+
+  return Date.now() / 1000 - authTime <= maxAgeMinutes * 60;
+}
+
+/**
+ * 401 the client can act on: re-authenticate, then retry the request with the new token
+ */
+export function sendReauthenticationRequired(res, maxAgeMinutes = config.stepUp.maxAgeMinutes) {
+  const maxAgeSeconds = maxAgeMinutes * 60;
+
+  res.set("WWW-Authenticate", `Bearer error="insufficient_user_authentication", max_age=${maxAgeSeconds}`);
+  return res.status(401).json({
+    message: "Reauthentication required",
+    code: "reauthentication_required",
+    max_age_seconds: maxAgeSeconds,
+    methods: REAUTHENTICATION_METHODS,
+    reauthenticate_url: "/api/auth/reauthenticate",
+  });
+}
+
+/**
+ * Require a recent authentication
+ * options.when(req) - only require it when this returns true (e.g. when creating an ADMIN)
+ */
+export function requireRecentAuth({ maxAgeMinutes = config.stepUp.maxAgeMinutes, when } = {}) {
+  return (req, res, next) => {
+    if (when && !when(req)) {
+      return next();
+    }
+
+    if (!hasRecentAuth(req, maxAgeMinutes)) {
+      return sendReauthenticationRequired(res, maxAgeMinutes);
+    }
+
+    next();
+  };
+}
@@ -73,7 +73,7 @@ export function validateSendOtp(req, res, next) {
  * Validate login request step 3: final_login
  */
 export function validateFinalLogin(req, res, next) {
-  const { role, otp, email, mobile } = req.body || {};
+  const { role, otp, totp_code, recovery_code, email, mobile } = req.body || {};
 
   const errors = [];
 
@@ -81,8 +81,8 @@ export function validateFinalLogin(req, res, next) {
     errors.push('role is required');
   }
 
-  if (!otp) {
-    errors.push('otp is required');
+  if (!otp && !totp_code && !recovery_code) {
+    errors.push('otp, totp_code or recovery_code is required');
   }
 
   if (!email && !mobile) {
@@ -0,0 +1,13 @@
+import express from 'express';
+import { issueApiKey, getApiKeys, removeApiKey } from '../controllers/apiKeyController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { authorizeRoles } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// API keys for machine integrations (ADMIN only)
+router.post('/', authenticate, authorizeRoles('ADMIN'), issueApiKey);
+router.get('/', authenticate, authorizeRoles('ADMIN'), getApiKeys);
+router.delete('/:keyId', authenticate, authorizeRoles('ADMIN'), removeApiKey);
+
+export default router;
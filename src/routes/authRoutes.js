@@ -5,6 +5,40 @@ import {
   sendOtp,
   finalLogin,
 } from '../controllers/authController.js';
+import {
+  totpStatus,
+  enrollTotp,
+  confirmTotp,
+  removeTotp,
+  recoveryCodeStatus,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import {
+  registrationOptions,
+  registrationVerify,
+  authenticationOptions,
+  authenticationVerify,
+  getCredentials,
+  removeCredential,
+} from '../controllers/webauthnController.js';
+import { requestMagicLink, verifyMagicLink } from '../controllers/magicLinkController.js';
+import {
+  getProviders,
+  startFederated,
+  federatedCallback,
+  completeFederated,
+} from '../controllers/federationController.js';
+import { startImpersonation, stopImpersonation } from '../controllers/impersonationController.js';
+import { reportUnrecognisedLogin } from '../controllers/loginAlertController.js';
+import { reauthenticate, sendReauthenticationOtp } from '../controllers/reauthController.js';
+import {
+  getTrustedDevices,
+  removeTrustedDevice,
+  removeAllTrustedDevices,
+} from '../controllers/trustedDeviceController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { authorizeRoles, forbidImpersonation } from '../middleware/roleMiddleware.js';
+import { requireRecentAuth } from '../middleware/stepUpMiddleware.js';
 import {
   validateCredentialValidation,
   validateSendOtp,
@@ -21,4 +55,51 @@ router.post('/validate-credentials', validateCredentialValidation, validateCrede
 router.post('/send-otp', validateSendOtp, sendOtp);
 router.post('/final-login', validateFinalLogin, finalLogin);
 
+// TOTP (authenticator app) second factor - enrolling needs a recent re-authentication, so a stolen
+// access token can't add the attacker's authenticator
+router.get('/totp/status', authenticate, totpStatus);
+router.post('/totp/enroll', authenticate, forbidImpersonation, requireRecentAuth(), enrollTotp);
+router.post('/totp/confirm', authenticate, forbidImpersonation, requireRecentAuth(), confirmTotp);
+router.post('/totp/disable', authenticate, forbidImpersonation, removeTotp);
+
+// Recovery codes (backup second factor) - new codes need a recent re-authentication, so a stolen
+// access token can't mint them
+router.get('/recovery-codes', authenticate, recoveryCodeStatus);
+router.post('/recovery-codes/regenerate', authenticate, forbidImpersonation, requireRecentAuth(), regenerateRecoveryCodes);
+
+// WebAuthn / passkeys - a new passkey is a passwordless login, so registering one needs a recent
+// re-authentication too
+router.post('/webauthn/register/options', authenticate, forbidImpersonation, requireRecentAuth(), registrationOptions);
+router.post('/webauthn/register/verify', authenticate, forbidImpersonation, requireRecentAuth(), registrationVerify);
+router.post('/webauthn/login/options', authenticationOptions);
+router.post('/webauthn/login/verify', authenticationVerify);
+router.get('/webauthn/credentials', authenticate, getCredentials);
+router.delete('/webauthn/credentials/:credentialId', authenticate, forbidImpersonation, removeCredential);
+
+// Magic link (passwordless email login)
+router.post('/magic-link', requestMagicLink);
+router.post('/magic-link/verify', verifyMagicLink);
+
+// Federated login (external OpenID Connect identity providers)
+router.get('/federated/providers', getProviders);
+router.post('/federated/complete', completeFederated);
+router.get('/federated/:provider/start', startFederated);
+router.get('/federated/:provider/callback', federatedCallback);
+
+// New-login alerts ("this wasn't me" link)
+router.post('/login-alerts/report', reportUnrecognisedLogin);
+
+// Step-up re-authentication before sensitive operations
+router.post('/reauthenticate/send-otp', authenticate, forbidImpersonation, sendReauthenticationOtp);
+router.post('/reauthenticate', authenticate, forbidImpersonation, reauthenticate);
+
+// Trusted devices ("remember this device")
+router.get('/trusted-devices', authenticate, getTrustedDevices);
+router.post('/trusted-devices/revoke-all', authenticate, forbidImpersonation, removeAllTrustedDevices);
+router.delete('/trusted-devices/:deviceId', authenticate, forbidImpersonation, removeTrustedDevice);
+
+// Admin impersonation ("log in as user")
+router.post('/impersonate', authenticate, authorizeRoles('ADMIN'), forbidImpersonation, startImpersonation);
+router.post('/impersonate/stop', authenticate, stopImpersonation);
+
 export default router;
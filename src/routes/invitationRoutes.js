@@ -0,0 +1,34 @@
+import express from 'express';
+import {
+  inviteUser,
+  inviteUsersBulk,
+  getInvitations,
+  resendInvitationLink,
+  removeInvitation,
+  startInvitationAcceptance,
+  completeInvitationAcceptance,
+} from '../controllers/invitationController.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { authorizeRoles, forbidImpersonation } from '../middleware/roleMiddleware.js';
+import { requireRecentAuth } from '../middleware/stepUpMiddleware.js';
+
+const router = express.Router();
+
+// Inviting an ADMIN (alone or in a bulk request) needs a recent re-authentication
+const invitesAdmin = (req) =>
+  [req.body, ...(Array.isArray(req.body?.invitations) ? req.body.invitations : [])].some(
+    (invite) => String(invite?.role || '').trim().toUpperCase() === 'ADMIN'
+  );
+
+// Invitee (public - the link token is the credential)
+router.post('/accept/start', startInvitationAcceptance);
+router.post('/accept', completeInvitationAcceptance);
+
+// Staff (ADMIN, PRINCIPAL - principals manage their own school)
+router.post('/', authenticate, forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL'), requireRecentAuth({ when: invitesAdmin }), inviteUser);
+router.post('/bulk', authenticate, forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL'), requireRecentAuth({ when: invitesAdmin }), inviteUsersBulk);
+router.get('/', authenticate, authorizeRoles('ADMIN', 'PRINCIPAL'), getInvitations);
+router.post('/:invitationId/resend', authenticate, forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL'), resendInvitationLink);
+router.delete('/:invitationId', authenticate, forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL'), removeInvitation);
+
+export default router;
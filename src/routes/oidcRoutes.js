@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+  authorize,
+  getAuthorizationRequest,
+  completeAuthorize,
+  token,
+  userinfo,
+  createClient,
+  getClients,
+  removeClient,
+} from '../controllers/oidcController.js';
+import { authenticate, authenticateOidcToken } from '../middleware/authMiddleware.js';
+import { authorizeRoles, forbidImpersonation } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+// Authorization code flow (PKCE)
+router.get('/authorize', authorize);
+router.get('/authorize/requests/:requestId', getAuthorizationRequest);
+router.post('/authorize/complete', authenticate, forbidImpersonation, completeAuthorize);
+router.post('/token', token);
+router.get('/userinfo', authenticateOidcToken, userinfo);
+router.post('/userinfo', authenticateOidcToken, userinfo);
+
+// Client registration (relying parties)
+router.post('/clients', authenticate, authorizeRoles('ADMIN'), createClient);
+router.get('/clients', authenticate, authorizeRoles('ADMIN'), getClients);
+router.delete('/clients/:clientId', authenticate, authorizeRoles('ADMIN'), removeClient);
+
+export default router;
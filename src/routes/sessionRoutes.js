@@ -2,7 +2,17 @@ import { Router } from "express";
 import {
   validateSessionController,
   logoutController,
+  refreshSessionController,
+  listMySessionsController,
+  revokeMySessionController,
+  revokeOtherSessionsController,
+  listUserSessionsController,
+  listSchoolSessionsController,
+  forceLogoutUserController,
+  forceLogoutSchoolController,
 } from "../controllers/sessionController.js";
+import { authenticate } from "../middleware/authMiddleware.js";
+import { authorizeRoles, forbidImpersonation } from "../middleware/roleMiddleware.js";
 
 const router = Router();
 
@@ -12,4 +22,30 @@ router.post("/validate", validateSessionController);
 // POST /api/sessions/logout
 router.post("/logout", logoutController);
 
+// POST /api/sessions/refresh
+router.post("/refresh", refreshSessionController);
+
+// GET /api/sessions/me - the user's active sessions / devices
+router.get("/me", authenticate, listMySessionsController);
+
+// POST /api/sessions/me/revoke-others - sign out everywhere else
+router.post("/me/revoke-others", authenticate, forbidImpersonation, revokeOtherSessionsController);
+
+// DELETE /api/sessions/me/:sessionId - sign out one session
+router.delete("/me/:sessionId", authenticate, forbidImpersonation, revokeMySessionController);
+
+// Session oversight (principals are limited to their own school)
+
+// GET /api/sessions/users/:userId - active sessions of a user
+router.get("/users/:userId", authenticate, forbidImpersonation, authorizeRoles("ADMIN", "PRINCIPAL"), listUserSessionsController);
+
+// POST /api/sessions/users/:userId/revoke - force logout a user
+router.post("/users/:userId/revoke", authenticate, forbidImpersonation, authorizeRoles("ADMIN", "PRINCIPAL"), forceLogoutUserController);
+
+// GET /api/sessions/schools/:schoolId - active sessions in a school
+router.get("/schools/:schoolId", authenticate, forbidImpersonation, authorizeRoles("ADMIN", "PRINCIPAL"), listSchoolSessionsController);
+
+// POST /api/sessions/schools/:schoolId/revoke - force logout a whole school
+router.post("/schools/:schoolId/revoke", authenticate, forbidImpersonation, authorizeRoles("ADMIN", "PRINCIPAL"), forceLogoutSchoolController);
+
 export default router;
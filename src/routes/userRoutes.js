@@ -1,13 +1,17 @@
 // src/routes/userRoutes.js
 import { Router } from 'express';
-import { activateUser, changePassword, changePasswordWithOtp, deactivateUser, getAllUsers, getUserById, getUserBySchoolId, registerUser, sendPasswordResetOtp, updateUser, verifyEmail, verifyPhone } from '../controllers/userController.js';
-import { authenticate } from '../middleware/authMiddleware.js';
-import { authorizeRoles } from '../middleware/roleMiddleware.js';
+import { activateUser, changePassword, changePasswordWithOtp, deactivateUser, getAllUsers, getPasswordPolicyRules, getUserById, getUserBySchoolId, registerUser, resetPasswordWithToken, sendPasswordResetLink, sendPasswordResetOtp, unlockUser, updateUser, verifyEmail, verifyPhone } from '../controllers/userController.js';
+import { authenticate, authenticateOrApiKey, authenticatePasswordChange } from '../middleware/authMiddleware.js';
+import { API_KEY_SCOPES } from '../services/apiKeyService.js';
+import { authorizeRoles, forbidImpersonation } from '../middleware/roleMiddleware.js';
+import { requireRecentAuth } from '../middleware/stepUpMiddleware.js';
 
 const router = Router();
 
-// POST /api/users/register - Create user
-router.post('/register', authenticate, authorizeRoles('ADMIN', 'PRINCIPAL'), registerUser);
+const isAdminAccount = (req) => String(req.body?.role || '').trim().toUpperCase() === 'ADMIN';
+
+// POST /api/users/register - Create user (an ADMIN account needs a recent re-authentication)
+router.post('/register', authenticateOrApiKey(API_KEY_SCOPES.USERS_WRITE), forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL', { allowApiKeys: true }), requireRecentAuth({ when: isAdminAccount }), registerUser);
 
 // GET /api/users
 router.get('/', getAllUsers);
@@ -18,26 +22,33 @@ router.get('/school/:school_id/:role', getUserBySchoolId);
 // GET /api/users/:id
 router.get('/:id', getUserById);
 
-// PUT /api/users/:id - Update user
-router.put('/:id', authenticate, updateUser);
+// PUT /api/users/:id - Update user (a role change needs a recent re-authentication)
+router.put('/:id', authenticateOrApiKey(API_KEY_SCOPES.USERS_WRITE), forbidImpersonation, updateUser);
 
 // PATCH /api/users/:id/deactivate - Deactivate user
-router.patch('/:id/deactivate', authenticate, authorizeRoles('ADMIN', 'PRINCIPAL'), deactivateUser);
+router.patch('/:id/deactivate', authenticateOrApiKey(API_KEY_SCOPES.USERS_STATUS), forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL', { allowApiKeys: true }), requireRecentAuth(), deactivateUser);
 
 // PATCH /api/users/:id/activate - Activate user
-router.patch('/:id/activate', authenticate, authorizeRoles('ADMIN', 'PRINCIPAL'), activateUser);
+router.patch('/:id/activate', authenticateOrApiKey(API_KEY_SCOPES.USERS_STATUS), forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL', { allowApiKeys: true }), activateUser);
+
+// PATCH /api/users/:id/unlock - Clear failed-login lockout
+router.patch('/:id/unlock', authenticateOrApiKey(API_KEY_SCOPES.USERS_STATUS), forbidImpersonation, authorizeRoles('ADMIN', 'PRINCIPAL', { allowApiKeys: true }), unlockUser);
 
 // PATCH /api/users/:id/verify-email - Verify email
-router.patch('/:id/verify-email', authenticate, verifyEmail);
+router.patch('/:id/verify-email', authenticate, forbidImpersonation, verifyEmail);
 
 // PATCH /api/users/:id/verify-phone - Verify phone
-router.patch('/:id/verify-phone', authenticate, verifyPhone);
+router.patch('/:id/verify-phone', authenticate, forbidImpersonation, verifyPhone);
 
-// PATCH /api/users/:id/change-password - Change password
-router.patch('/:id/change-password', authenticate, changePassword);
+// PATCH /api/users/:id/change-password - Change password (also the only call a restricted
+// temporary / expired password login can make)
+router.patch('/:id/change-password', authenticatePasswordChange, forbidImpersonation, requireRecentAuth(), changePassword);
 
+router.get("/password/policy", getPasswordPolicyRules);
 router.post("/password/send-otp", sendPasswordResetOtp);
 router.post("/password/change-with-otp", changePasswordWithOtp);
+router.post("/password/send-reset-link", sendPasswordResetLink);
+router.post("/password/reset-with-token", resetPasswordWithToken);
 
 
 export default router;
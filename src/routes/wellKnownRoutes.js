@@ -0,0 +1,13 @@
+import express from 'express';
+import { getJwks } from '../controllers/jwksController.js';
+import { openidConfiguration } from '../controllers/oidcController.js';
+
+const router = express.Router();
+
+// GET /.well-known/jwks.json - public keys for access-token verification
+router.get('/jwks.json', getJwks);
+
+// GET /.well-known/openid-configuration - OIDC discovery document
+router.get('/openid-configuration', openidConfiguration);
+
+export default router;
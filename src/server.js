@@ -1,9 +1,17 @@
 import app from './app.js';
 import { config } from './config/env.js';
+import { startKeyRotationSchedule } from './services/jwtKeyService.js';
+import { startBreachedPasswordIndex } from './services/breachedPasswordService.js';
 import chalk from 'chalk';
 
 const port = config.port;
 
+// Create / rotate JWT signing keys in the background
+startKeyRotationSchedule();
+
+// Build the breached-password index if the dataset is new or changed
+startBreachedPasswordIndex();
+
 app.listen(port, () => {
   console.log(
     chalk.green.bold(`🚀 Auth server running on `) +
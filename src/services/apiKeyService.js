@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+
+/**
+ * API Key Service
+ * Long-lived keys for machine integrations (sync jobs, partner systems). Each key is bound to
+ * one school and a set of scopes; only a SHA-256 hash is stored, the short prefix is kept in
+ * clear so keys can be told apart in listings and logs.
+ *
+ * Key format: sk_<prefix>_<secret>
+ */
+
+export const API_KEY_SCOPES = {
+  USERS_WRITE: 'users:write', // create and update users
+  USERS_STATUS: 'users:status', // activate / deactivate / unlock users
+};
+
+const KEY_PATTERN = /^sk_([a-f0-9]{8})_([A-Za-z0-9_-]{43})$/;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toApiKey(row) {
+  return {
+    key_id: row.key_id,
+    name: row.name,
+    key_prefix: `sk_${row.key_prefix}`,
+    school_id: row.school_id,
+    scopes: JSON.parse(row.scopes),
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    last_used_ip: row.last_used_ip,
+    created_by: row.created_by,
+    revoked_at: row.revoked_at,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Issue a key (returned once - only its hash is stored)
+ * expiresInDays - 0 for a key that never expires
+ * Returns { apiKey, key }
+ */
+export async function createApiKey({ name, schoolId, scopes, expiresInDays, createdBy }) {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `sk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  const ttlDays = expiresInDays ?? config.apiKeys.defaultTtlDays;
+
+  const { rows } = await query(
+    `INSERT INTO public.api_keys (key_prefix, key_hash, name, school_id, scopes, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5,
+             CASE WHEN $6::int > 0 THEN NOW() + make_interval(days => $6::int) END,
+             $7)
+     RETURNING *`,
+    [prefix, hashKey(key), name, schoolId, JSON.stringify(scopes), ttlDays, createdBy || null]
+  );
+
+  return { apiKey: toApiKey(rows[0]), key };
+}
+
+/**
+ * List keys (optionally for one school), newest first
+ */
+export async function listApiKeys({ schoolId } = {}) {
+  const { rows } = await query(
+    `SELECT * FROM public.api_keys
+      WHERE ($1::text IS NULL OR school_id::text = $1::text)
+      ORDER BY created_at DESC`,
+    [schoolId ?? null]
+  );
+  return rows.map(toApiKey);
+}
+
+/**
+ * Revoke a key (takes effect on the next request)
+ */
+export async function revokeApiKey(keyId, revokedBy) {
+  const { rowCount } = await query(
+    `UPDATE public.api_keys
+        SET revoked_at = NOW(), revoked_by = $2
+      WHERE key_id = $1
+        AND revoked_at IS NULL`,
+    [keyId, revokedBy || null]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Check a presented key and record its use
+ * Returns { valid, reason, apiKey }
+ */
+export async function verifyApiKey(key, ip) {
+  const match = KEY_PATTERN.exec(String(key || ''));
+  if (!match) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const { rows } = await query(
+    `SELECT * FROM public.api_keys WHERE key_prefix = $1`,
+    [match[1]]
+  );
+  if (!rows.length) {
+    return { valid: false, reason: 'not_found' };
+  }
+
+  const row = rows[0];
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'not_found' };
+  }
+
+  if (row.revoked_at) {
+    return { valid: false, reason: 'revoked' };
+  }
+
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  // Throttled so a busy integration doesn't write on every request
+  await query(
+    `UPDATE public.api_keys
+        SET last_used_at = NOW(), last_used_ip = $2
+      WHERE key_id = $1
+        AND (last_used_at IS NULL OR last_used_at < NOW() - make_interval(secs => $3::int))`,
+    [row.key_id, ip || null, config.apiKeys.usageUpdateSeconds]
+  );
+
+  return { valid: true, apiKey: toApiKey(row) };
+}
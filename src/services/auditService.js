@@ -0,0 +1,34 @@
+import { query } from '../config/db.js';
+
+/**
+ * Audit Service
+ * Append-only log of security-relevant actions taken on behalf of users
+ */
+
+export const AUDIT_EVENTS = {
+  IMPERSONATION_START: 'impersonation_start',
+  IMPERSONATION_STOP: 'impersonation_stop',
+  FORCED_LOGOUT: 'forced_logout',
+  UNRECOGNISED_LOGIN_REPORTED: 'unrecognised_login_reported',
+};
+
+/**
+ * Write an audit entry
+ * actorUserId - who did it; targetUserId - whose account it affected
+ */
+export async function recordAuditEvent(event, { actorUserId, targetUserId, sessionId, ip, userAgent, details } = {}) {
+  await query(
+    `INSERT INTO public.auth_audit_log
+       (event, actor_user_id, target_user_id, session_id, ip_address, user_agent, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      event,
+      actorUserId || null,
+      targetUserId || null,
+      sessionId || null,
+      ip || null,
+      userAgent || null,
+      details ? JSON.stringify(details) : null,
+    ]
+  );
+}
@@ -0,0 +1,245 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import { config } from '../config/env.js';
+
+/**
+ * Breached Password Service
+ * Offline lookup of passwords in a known-breached corpus - nothing leaves the server.
+ *
+ * Dataset: the Have I Been Pwned "ordered by hash" file (e.g. from haveibeenpwned-downloader),
+ * one `<SHA-1 hex>:<count>` per line, sorted by hash.
+ *
+ * Index (<dataset>.idx, ~8 MB): for every 5-hex-digit SHA-1 prefix (the HIBP range), the byte
+ * offset of its first line in the dataset. A lookup reads two offsets from the index and then
+ * only that prefix's slice of the dataset (a few KB). Every lookup compares the dataset's size
+ * and mtime with the ones indexed and rebuilds the index in the background when they differ; a
+ * failed build is retried after config.breachedPasswords.retryMinutes, not on every request.
+ */
+
+const INDEX_MAGIC = 'BPIX';
+const INDEX_VERSION = 1;
+const HEADER_SIZE = 32; // magic, version, dataset size, dataset mtime, reserved
+const PREFIX_LENGTH = 5;
+const PREFIX_COUNT = 16 ** PREFIX_LENGTH;
+const SUFFIX_LENGTH = 40 - PREFIX_LENGTH;
+const MAX_RANGE_BYTES = 16 * 1024 * 1024; // a single range is a few KB - anything huge is a broken index
+
+let indexedStat = null; // { size, mtimeMs } of the dataset the ready index was built from
+let buildInFlight = null;
+let lastBuildFailedAt = 0;
+
+function getDatasetPath() {
+  return config.breachedPasswords.datasetPath || null;
+}
+
+function getIndexPath() {
+  return config.breachedPasswords.indexPath || `${getDatasetPath()}.idx`;
+}
+
+/**
+ * Is an index present and built from the current dataset file?
+ */
+async function isIndexCurrent(datasetStat) {
+  let handle;
+  try {
+    handle = await fsp.open(getIndexPath(), 'r');
+    const header = Buffer.alloc(HEADER_SIZE);
+    await handle.read(header, 0, HEADER_SIZE, 0);
+
+    return (
+      header.toString('latin1', 0, 4) === INDEX_MAGIC &&
+      header.readUInt32LE(4) === INDEX_VERSION &&
+      header.readBigUInt64LE(8) === BigInt(datasetStat.size) &&
+      header.readDoubleLE(16) === datasetStat.mtimeMs
+    );
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Stream the dataset once and write the prefix -> offset table
+ */
+async function buildIndex(datasetStat) {
+  const offsets = new BigUint64Array(PREFIX_COUNT + 1);
+  let nextPrefix = 0;
+
+  const handleLine = (buf, start, end, lineOffset) => {
+    if (end - start < PREFIX_LENGTH) return; // blank line
+
+    const prefix = parseInt(buf.toString('latin1', start, start + PREFIX_LENGTH), 16);
+    if (Number.isNaN(prefix)) {
+      throw new Error(`Breached password dataset: unexpected line at byte ${lineOffset}`);
+    }
+    if (prefix < nextPrefix - 1) {
+      throw new Error('Breached password dataset must be sorted by hash');
+    }
+
+    while (nextPrefix <= prefix) {
+      offsets[nextPrefix++] = BigInt(lineOffset);
+    }
+  };
+
+  let position = 0;
+  let carry = Buffer.alloc(0);
+  let carryOffset = 0;
+
+  for await (const chunk of fs.createReadStream(getDatasetPath(), { highWaterMark: 1024 * 1024 })) {
+    const buf = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const bufOffset = carry.length ? carryOffset : position;
+
+    let start = 0;
+    let newline;
+    while ((newline = buf.indexOf(10, start)) !== -1) {
+      handleLine(buf, start, newline, bufOffset + start);
+      start = newline + 1;
+    }
+
+    carry = Buffer.from(buf.subarray(start));
+    carryOffset = bufOffset + start;
+    position += chunk.length;
+  }
+  if (carry.length) handleLine(carry, 0, carry.length, carryOffset);
+
+  while (nextPrefix <= PREFIX_COUNT) {
+    offsets[nextPrefix++] = BigInt(datasetStat.size);
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(INDEX_MAGIC, 0, 'latin1');
+  header.writeUInt32LE(INDEX_VERSION, 4);
+  header.writeBigUInt64LE(BigInt(datasetStat.size), 8);
+  header.writeDoubleLE(datasetStat.mtimeMs, 16);
+
+  // Write then rename, so a lookup never sees a half-written index
+  const tempPath = `${getIndexPath()}.${process.pid}.tmp`;
+  await fsp.writeFile(tempPath, Buffer.concat([header, Buffer.from(offsets.buffer)]));
+  await fsp.rename(tempPath, getIndexPath());
+}
+
+async function checkIndex() {
+  const datasetStat = await fsp.stat(getDatasetPath());
+
+  if (!(await isIndexCurrent(datasetStat))) {
+    indexedStat = null;
+    console.log('Building breached password index...');
+    await buildIndex(datasetStat);
+    console.log('Breached password index ready');
+  }
+
+  indexedStat = { size: datasetStat.size, mtimeMs: datasetStat.mtimeMs };
+}
+
+/**
+ * Is the ready index still the one for the dataset file on disk? (a stat per lookup)
+ */
+async function isIndexReady() {
+  if (!indexedStat) return false;
+
+  const datasetStat = await fsp.stat(getDatasetPath()).catch(() => null);
+  if (datasetStat?.size === indexedStat.size && datasetStat.mtimeMs === indexedStat.mtimeMs) {
+    return true;
+  }
+
+  indexedStat = null;
+  return false;
+}
+
+/**
+ * Make sure the index matches the dataset (builds it if missing or stale)
+ * Concurrent callers share one build.
+ */
+export function ensureBreachedPasswordIndex() {
+  if (!getDatasetPath()) return Promise.resolve();
+
+  if (!buildInFlight) {
+    buildInFlight = checkIndex()
+      .catch((error) => {
+        lastBuildFailedAt = Date.now();
+        throw error;
+      })
+      .finally(() => {
+        buildInFlight = null;
+      });
+  }
+  return buildInFlight;
+}
+
+/**
+ * Check / build the index in the background (on startup, and from lookups while it isn't ready)
+ * Does nothing for retryMinutes after a failed build.
+ */
+export function startBreachedPasswordIndex() {
+  if (Date.now() - lastBuildFailedAt < config.breachedPasswords.retryMinutes * 60 * 1000) return;
+
+  ensureBreachedPasswordIndex().catch((error) => {
+    console.error('Breached password index build failed:', error.message);
+  });
+}
+
+/**
+ * Byte range of a prefix in the dataset, read from the index
+ */
+async function readRange(prefix) {
+  const handle = await fsp.open(getIndexPath(), 'r');
+  try {
+    const entry = Buffer.alloc(16);
+    await handle.read(entry, 0, 16, HEADER_SIZE + prefix * 8);
+    return { start: Number(entry.readBigUInt64LE(0)), end: Number(entry.readBigUInt64LE(8)) };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * How often has this password been seen in breaches?
+ * Returns { checked, breached, occurrences, reason } - checked is false when no dataset is
+ * configured or the index is still being built or out of date (callers let the password through)
+ */
+export async function lookupBreachedPassword(password) {
+  if (!getDatasetPath()) {
+    return { checked: false, breached: false, reason: 'not_configured' };
+  }
+  if (!(await isIndexReady())) {
+    startBreachedPasswordIndex();
+    return { checked: false, breached: false, reason: 'index_not_ready' };
+  }
+
+  const hash = crypto.createHash('sha1').update(String(password), 'utf8').digest('hex').toUpperCase();
+  const prefix = parseInt(hash.slice(0, PREFIX_LENGTH), 16);
+  const suffix = hash.slice(PREFIX_LENGTH);
+
+  const { start, end } = await readRange(prefix);
+  if (end <= start) {
+    return { checked: true, breached: false, occurrences: 0 };
+  }
+  if (end - start > MAX_RANGE_BYTES) {
+    throw new Error('Breached password index is corrupt');
+  }
+
+  const handle = await fsp.open(getDatasetPath(), 'r');
+  let range;
+  try {
+    range = Buffer.alloc(end - start);
+    await handle.read(range, 0, range.length, start);
+  } finally {
+    await handle.close();
+  }
+
+  for (const line of range.toString('latin1').split('\n')) {
+    if (line.slice(PREFIX_LENGTH, PREFIX_LENGTH + SUFFIX_LENGTH).toUpperCase() !== suffix) continue;
+
+    const occurrences = parseInt(line.slice(40 + 1), 10) || 1;
+    return {
+      checked: true,
+      breached: occurrences >= config.breachedPasswords.minOccurrences,
+      occurrences,
+    };
+  }
+
+  return { checked: true, breached: false, occurrences: 0 };
+}
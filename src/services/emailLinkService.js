@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+
+/**
+ * Email Link Service
+ * Signed, single-use, short-lived tokens delivered as links by email (magic-link login etc.)
+ *
+ * Token format: <nonce>.<signature>
+ * - signature = HMAC(purpose + nonce), so a token only works for the purpose it was issued for
+ *   and tampered tokens are rejected without a database lookup
+ * - only a hash of the nonce is stored; the row enforces expiry and single use
+ */
+
+export const EMAIL_LINK_PURPOSES = {
+  MAGIC_LINK: 'MAGIC_LINK',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  LOGIN_ALERT: 'LOGIN_ALERT', // "this wasn't me" link in a new-login alert
+};
+
+function sign(purpose, nonce) {
+  return crypto
+    .createHmac('sha256', config.emailLinks.secret)
+    .update(`${purpose}:${nonce}`)
+    .digest('base64url');
+}
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('hex');
+}
+
+/**
+ * Split a token and check its signature
+ * Returns the nonce, or null if the token is malformed / not signed for this purpose
+ */
+function verifySignature(token, purpose) {
+  const [nonce, signature, extra] = String(token || '').split('.');
+  if (!nonce || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(purpose, nonce));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return nonce;
+}
+
+/**
+ * Build the link sent by email: <baseUrl><path>?token=<token>
+ */
+export function buildEmailLinkUrl(path, token) {
+  const url = new URL(path, config.emailLinks.baseUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+}
+
+/**
+ * Issue a new token for a user; earlier pending tokens of the same purpose stop working unless
+ * replacePending is false (e.g. login alerts, where every email's link must keep working)
+ * Returns { token, expiresAt }
+ */
+export async function createEmailLinkToken(userId, purpose, { ttlMinutes, ip, replacePending = true } = {}) {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const token = `${nonce}.${sign(purpose, nonce)}`;
+
+  if (replacePending) {
+    await query(
+      `UPDATE public.email_link_tokens
+          SET used_at = NOW()
+        WHERE user_id = $1
+          AND purpose = $2
+          AND used_at IS NULL`,
+      [userId, purpose]
+    );
+  }
+
+  const { rows } = await query(
+    `INSERT INTO public.email_link_tokens (user_id, purpose, token_hash, expires_at, ip_address)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4::int), $5)
+     RETURNING expires_at`,
+    [userId, purpose, hashNonce(nonce), ttlMinutes, ip || null]
+  );
+
+  return { token, expiresAt: rows[0].expires_at };
+}
+
+/**
+ * Check a token without using it up (e.g. to validate the rest of a request first)
+ * Returns { valid, reason, userId } - consume it with consumeEmailLinkToken before acting
+ */
+export async function peekEmailLinkToken(token, purpose) {
+  const nonce = verifySignature(token, purpose);
+  if (!nonce) {
+    return { valid: false, reason: 'token_invalid' };
+  }
+
+  const { rows } = await query(
+    `SELECT user_id, expires_at <= NOW() AS expired
+       FROM public.email_link_tokens
+      WHERE token_hash = $1
+        AND purpose = $2
+        AND used_at IS NULL`,
+    [hashNonce(nonce), purpose]
+  );
+
+  if (!rows.length) {
+    return { valid: false, reason: 'token_used_or_unknown' };
+  }
+
+  if (rows[0].expired) {
+    return { valid: false, reason: 'token_expired' };
+  }
+
+  return { valid: true, userId: rows[0].user_id };
+}
+
+/**
+ * Verify and consume a token (atomic - a token can only ever be used once)
+ * Returns { valid, reason, userId }
+ */
+export async function consumeEmailLinkToken(token, purpose) {
+  const nonce = verifySignature(token, purpose);
+  if (!nonce) {
+    return { valid: false, reason: 'token_invalid' };
+  }
+
+  const { rows } = await query(
+    `UPDATE public.email_link_tokens
+        SET used_at = NOW()
+      WHERE token_hash = $1
+        AND purpose = $2
+        AND used_at IS NULL
+      RETURNING user_id, expires_at <= NOW() AS expired`,
+    [hashNonce(nonce), purpose]
+  );
+
+  if (!rows.length) {
+    return { valid: false, reason: 'token_used_or_unknown' };
+  }
+
+  if (rows[0].expired) {
+    return { valid: false, reason: 'token_expired' };
+  }
+
+  return { valid: true, userId: rows[0].user_id };
+}
@@ -0,0 +1,300 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { createTtlCache } from '../utils/cache.js';
+import { findUserByEmail, findUserById, isUserActive } from './userService.js';
+
+/**
+ * Federation Service
+ * Login through external OpenID Connect identity providers (Google Workspace, Microsoft
+ * Entra ID, or any standards-compliant IdP). Providers are configured in
+ * FEDERATION_PROVIDERS; endpoints come from the issuer's discovery document unless set
+ * explicitly (handy for a local mock IdP).
+ *
+ * External identities are linked to existing users by verified email - accounts are never
+ * created here.
+ */
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Discovery documents and JWKS per issuer
+const metadataCache = createTtlCache({ ttlMs: 60 * 60 * 1000, maxEntries: 100 });
+const jwksCache = createTtlCache({ ttlMs: 60 * 60 * 1000, maxEntries: 100 });
+
+function hashTicket(ticket) {
+  return crypto.createHash('sha256').update(ticket).digest('hex');
+}
+
+function getCallbackUrl(name) {
+  return `${config.oidc.issuer}/api/auth/federated/${name}/callback`;
+}
+
+// ============================================
+// Providers
+// ============================================
+
+/**
+ * Provider settings by name (or null if not configured)
+ */
+export function getProvider(name) {
+  const settings = config.federation.providers[String(name || '').toLowerCase()];
+  if (!settings?.issuer || !settings?.clientId) return null;
+
+  return {
+    ...settings,
+    name: String(name).toLowerCase(),
+    label: settings.label || name,
+    scopes: settings.scopes || 'openid email profile',
+    allowedDomains: (settings.allowedDomains || []).map((d) => d.toLowerCase()),
+    trustUnverifiedEmail: Boolean(settings.trustUnverifiedEmail),
+  };
+}
+
+/**
+ * Providers shown on the login page
+ */
+export function listProviders() {
+  return Object.keys(config.federation.providers)
+    .map((name) => getProvider(name))
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+}
+
+/**
+ * Endpoints for a provider (discovery document, overridable per provider)
+ */
+async function getProviderMetadata(provider) {
+  let discovered = metadataCache.get(provider.issuer);
+
+  const needsDiscovery = !provider.authorizationEndpoint || !provider.tokenEndpoint || !provider.jwksUri;
+  if (!discovered && needsDiscovery) {
+    const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: 5000 });
+    discovered = data;
+    metadataCache.set(provider.issuer, discovered);
+  }
+
+  return {
+    authorizationEndpoint: provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    jwksUri: provider.jwksUri || discovered.jwks_uri,
+  };
+}
+
+/**
+ * Public key for an IdP-signed token (JWKS refetched once when the kid is unknown - key rotation)
+ */
+async function getIdpPublicKey(jwksUri, kid) {
+  const find = (jwks) => jwks?.keys?.find((key) => key.kid === kid);
+
+  let jwk = find(jwksCache.get(jwksUri));
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri, { timeout: 5000 });
+    jwksCache.set(jwksUri, data);
+    jwk = find(data);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+// ============================================
+// Login flow
+// ============================================
+
+/**
+ * STEP 1: Build the IdP authorization URL (state, nonce and PKCE stored for the callback)
+ * Returns { authorizationUrl, state } - the caller binds the state to the browser
+ */
+export async function startFederatedLogin(provider, { role, ip, userAgent } = {}) {
+  const metadata = await getProviderMetadata(provider);
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await query(
+    `INSERT INTO public.federated_logins
+       (state, provider, nonce, code_verifier, role, ip_address, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8::int))`,
+    [state, provider.name, nonce, codeVerifier, role || null, ip || null, userAgent || null,
+      config.federation.stateTtlMinutes]
+  );
+
+  const url = new URL(metadata.authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', getCallbackUrl(provider.name));
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return { authorizationUrl: url.toString(), state };
+}
+
+/**
+ * Exchange the IdP code and verify the returned ID token
+ * Returns the verified claims
+ */
+async function fetchVerifiedIdToken(provider, metadata, code, codeVerifier, nonce) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getCallbackUrl(provider.name),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) body.set('client_secret', provider.clientSecret);
+
+  const { data } = await axios.post(metadata.tokenEndpoint, body, {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000,
+  });
+
+  const decoded = jwt.decode(data.id_token, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new Error('ID token missing or without kid');
+  }
+
+  const publicKey = await getIdpPublicKey(metadata.jwksUri, decoded.header.kid);
+  if (!publicKey) {
+    throw new Error(`Unknown ID token signing key ${decoded.header.kid}`);
+  }
+
+  const claims = jwt.verify(data.id_token, publicKey, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Find the local user for an external identity, linking it on first login by verified email
+ * Returns { user } or { reason }
+ */
+async function resolveLinkedUser(provider, claims, role) {
+  const { rows } = await query(
+    `SELECT user_id FROM public.user_identities WHERE provider = $1 AND subject = $2`,
+    [provider.name, claims.sub]
+  );
+
+  const email = String(claims.email || '').toLowerCase();
+
+  if (!rows.length) {
+    if (!email) return { reason: 'email_missing' };
+    if (claims.email_verified !== true && !provider.trustUnverifiedEmail) {
+      return { reason: 'email_not_verified' };
+    }
+
+    const domain = email.split('@')[1];
+    if (provider.allowedDomains.length && !provider.allowedDomains.includes(domain)) {
+      return { reason: 'domain_not_allowed' };
+    }
+  }
+
+  const user = rows.length ? await findUserById(rows[0].user_id) : await findUserByEmail(email);
+
+  if (!isUserActive(user)) return { reason: 'no_matching_account' };
+  if (role && role !== user.role) return { reason: 'no_matching_account' };
+
+  if (!rows.length) {
+    await query(
+      `INSERT INTO public.user_identities (user_id, provider, subject, email)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (provider, subject) DO NOTHING`,
+      [user.user_id, provider.name, claims.sub, email]
+    );
+  }
+
+  await query(
+    `UPDATE public.user_identities SET last_login_at = NOW() WHERE provider = $1 AND subject = $2`,
+    [provider.name, claims.sub]
+  );
+
+  return { user };
+}
+
+/**
+ * STEP 2: IdP callback - verify, link and hand out a one-time login ticket
+ * Returns { valid, reason, ticket }
+ */
+export async function handleFederatedCallback(provider, { code, state }) {
+  const { rows } = await query(
+    `UPDATE public.federated_logins
+        SET callback_at = NOW()
+      WHERE state = $1
+        AND provider = $2
+        AND callback_at IS NULL
+        AND expires_at > NOW()
+      RETURNING state, nonce, code_verifier, role`,
+    [state, provider.name]
+  );
+
+  if (!rows.length) {
+    return { valid: false, reason: 'state_invalid' };
+  }
+
+  const login = rows[0];
+
+  let claims;
+  try {
+    const metadata = await getProviderMetadata(provider);
+    claims = await fetchVerifiedIdToken(provider, metadata, code, login.code_verifier, login.nonce);
+  } catch (error) {
+    console.error(`Federated login (${provider.name}) token error:`, error.response?.data || error.message);
+    return { valid: false, reason: 'idp_token_invalid' };
+  }
+
+  const { user, reason } = await resolveLinkedUser(provider, claims, login.role);
+  if (!user) {
+    return { valid: false, reason };
+  }
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  await query(
+    `UPDATE public.federated_logins
+        SET user_id = $2,
+            ticket_hash = $3,
+            ticket_expires_at = NOW() + make_interval(secs => $4::int)
+      WHERE state = $1`,
+    [login.state, user.user_id, hashTicket(ticket), config.federation.ticketTtlSeconds]
+  );
+
+  return { valid: true, ticket };
+}
+
+/**
+ * STEP 3: Redeem the login ticket (single use)
+ * Returns { valid, reason, userId, provider, ip, userAgent }
+ */
+export async function redeemLoginTicket(ticket) {
+  const { rows } = await query(
+    `UPDATE public.federated_logins
+        SET redeemed_at = NOW()
+      WHERE ticket_hash = $1
+        AND redeemed_at IS NULL
+      RETURNING user_id, provider, ip_address, user_agent, ticket_expires_at > NOW() AS ticket_live`,
+    [hashTicket(String(ticket || ''))]
+  );
+
+  if (!rows.length) return { valid: false, reason: 'ticket_invalid' };
+  if (!rows[0].ticket_live) return { valid: false, reason: 'ticket_expired' };
+
+  return {
+    valid: true,
+    userId: rows[0].user_id,
+    provider: rows[0].provider,
+    ip: rows[0].ip_address,
+    userAgent: rows[0].user_agent,
+  };
+}
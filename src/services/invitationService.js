@@ -0,0 +1,365 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { buildEmailLinkUrl } from './emailLinkService.js';
+import { sendInvitation, sendOtpViaSMS } from './notificationService.js';
+import { generateDetachedOtp, getOtpPurposeConfig, otpMatches } from './otpService.js';
+import { recordPasswordHistory } from './passwordPolicyService.js';
+import { hashPassword } from '../utils/password.js';
+
+/**
+ * Invitation Service
+ * Staff invite parents and staff instead of choosing their passwords. An invitation is scoped
+ * to a school, branch and role and delivered as a link; the invitee opens it, verifies the
+ * invited phone number by OTP and sets their own password, which creates the account.
+ *
+ * Only a SHA-256 hash of the link token is stored. Resending issues a new token (the old link
+ * stops working) and restarts the expiry; the phone OTP is kept on the invitation because
+ * there is no user row to attach it to yet.
+ */
+
+export const INVITATION_CHANNELS = ['sms', 'email'];
+export const INVITATION_STATUSES = ['pending', 'accepted', 'revoked', 'expired'];
+
+const OTP_TYPE_INVITATION = 'INVITATION';
+
+const STATUS_SQL = `CASE
+    WHEN accepted_at IS NOT NULL THEN 'accepted'
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN expires_at <= NOW() THEN 'expired'
+    ELSE 'pending'
+  END`;
+
+const PENDING_SQL = 'accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function toInvitation(row) {
+  return {
+    invitation_id: row.invitation_id,
+    school_id: row.school_id,
+    branch_id: row.branch_id,
+    role: row.role,
+    full_name: row.full_name,
+    email: row.email,
+    phone: row.phone,
+    status: row.status,
+    channels: JSON.parse(row.channels),
+    send_count: row.send_count,
+    last_sent_at: row.last_sent_at,
+    expires_at: row.expires_at,
+    invited_by: row.invited_by,
+    accepted_at: row.accepted_at,
+    accepted_user_id: row.accepted_user_id,
+    revoked_at: row.revoked_at,
+    revoked_by: row.revoked_by,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * "******3210" - enough for the invitee to recognise the number the OTP went to
+ */
+export function maskPhone(phone) {
+  const digits = String(phone || '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits;
+}
+
+/**
+ * Deliver the link for a freshly issued token
+ */
+async function deliverInvitation(invitation, token) {
+  await sendInvitation(invitation, {
+    url: buildEmailLinkUrl(config.invitations.path, token),
+    channels: invitation.channels,
+    ttlDays: config.invitations.ttlDays,
+  });
+}
+
+/**
+ * Why an invitation can't be created for this email / phone, or null
+ * (an account already exists, or someone already has a pending invitation)
+ */
+async function findInvitationConflict(email, phone) {
+  const { rows: users } = await query(
+    `SELECT lower(email) = lower($1) AS email_taken
+       FROM public.users
+      WHERE lower(email) = lower($1) OR phone = $2
+      LIMIT 1`,
+    [email, phone]
+  );
+  if (users.length) {
+    return users[0].email_taken ? 'email_registered' : 'phone_registered';
+  }
+
+  const { rows: invitations } = await query(
+    `SELECT 1 FROM public.user_invitations
+      WHERE (lower(email) = lower($1) OR phone = $2)
+        AND ${PENDING_SQL}
+      LIMIT 1`,
+    [email, phone]
+  );
+  return invitations.length ? 'already_invited' : null;
+}
+
+/**
+ * Create and send an invitation
+ * Returns { invitation } or { error } ('email_registered' | 'phone_registered' | 'already_invited')
+ */
+export async function createInvitation({ schoolId, branchId, role, fullName, email, phone, channels, invitedBy }) {
+  const conflict = await findInvitationConflict(email, phone);
+  if (conflict) {
+    return { error: conflict };
+  }
+
+  const { token, tokenHash } = newToken();
+
+  const { rows } = await query(
+    `INSERT INTO public.user_invitations
+       (school_id, branch_id, role, full_name, email, phone, channels, token_hash, expires_at, invited_by,
+        send_count, last_sent_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(days => $9::int), $10, 1, NOW())
+     RETURNING *, ${STATUS_SQL} AS status`,
+    [
+      schoolId,
+      branchId || null,
+      role,
+      fullName,
+      email,
+      phone,
+      JSON.stringify(channels),
+      tokenHash,
+      config.invitations.ttlDays,
+      invitedBy || null,
+    ]
+  );
+
+  const invitation = toInvitation(rows[0]);
+  await deliverInvitation(invitation, token);
+
+  return { invitation };
+}
+
+/**
+ * List invitations (optionally for one school / status), newest first
+ */
+export async function listInvitations({ schoolId, status } = {}) {
+  const { rows } = await query(
+    `SELECT * FROM (
+       SELECT *, ${STATUS_SQL} AS status FROM public.user_invitations
+     ) invitations
+      WHERE ($1::text IS NULL OR school_id::text = $1::text)
+        AND ($2::text IS NULL OR status = $2::text)
+      ORDER BY created_at DESC`,
+    [schoolId ?? null, status ?? null]
+  );
+  return rows.map(toInvitation);
+}
+
+export async function findInvitationById(invitationId) {
+  const { rows } = await query(
+    `SELECT *, ${STATUS_SQL} AS status FROM public.user_invitations WHERE invitation_id = $1`,
+    [invitationId]
+  );
+  return rows[0] ? toInvitation(rows[0]) : null;
+}
+
+/**
+ * Send a new link (also revives an expired invitation); the previous link stops working
+ * channels - optional replacement delivery channels
+ * Returns the invitation, or null if it was accepted or revoked in the meantime
+ */
+export async function resendInvitation(invitationId, { channels } = {}) {
+  const { token, tokenHash } = newToken();
+
+  const { rows } = await query(
+    `UPDATE public.user_invitations
+        SET token_hash = $2,
+            channels = COALESCE($3, channels),
+            expires_at = NOW() + make_interval(days => $4::int),
+            otp_hash = NULL,
+            otp_expires_at = NULL,
+            otp_attempts = 0,
+            send_count = send_count + 1,
+            last_sent_at = NOW()
+      WHERE invitation_id = $1
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL
+      RETURNING *, ${STATUS_SQL} AS status`,
+    [invitationId, tokenHash, channels ? JSON.stringify(channels) : null, config.invitations.ttlDays]
+  );
+  if (!rows.length) return null;
+
+  const invitation = toInvitation(rows[0]);
+  await deliverInvitation(invitation, token);
+
+  return invitation;
+}
+
+/**
+ * Revoke an invitation that hasn't been accepted (its link stops working immediately)
+ */
+export async function revokeInvitation(invitationId, revokedBy) {
+  const { rowCount } = await query(
+    `UPDATE public.user_invitations
+        SET revoked_at = NOW(), revoked_by = $2, otp_hash = NULL
+      WHERE invitation_id = $1
+        AND accepted_at IS NULL
+        AND revoked_at IS NULL`,
+    [invitationId, revokedBy || null]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Look up the pending invitation a link token belongs to (null if unknown, used, revoked or expired)
+ */
+export async function findPendingInvitationByToken(token) {
+  if (!token) return null;
+
+  const { rows } = await query(
+    `SELECT *, ${STATUS_SQL} AS status FROM public.user_invitations
+      WHERE token_hash = $1
+        AND ${PENDING_SQL}`,
+    [hashToken(token)]
+  );
+  return rows[0] ? toInvitation(rows[0]) : null;
+}
+
+/**
+ * Send the phone-verification OTP to the invited number (replaces any earlier code)
+ * Returns { expiresAt }
+ */
+export async function sendInvitationOtp(invitation) {
+  const { otpCode, otpHash, purpose } = generateDetachedOtp(OTP_TYPE_INVITATION);
+
+  const { rows } = await query(
+    `UPDATE public.user_invitations
+        SET otp_hash = $2,
+            otp_expires_at = NOW() + make_interval(mins => $3::int),
+            otp_attempts = 0
+      WHERE invitation_id = $1
+      RETURNING otp_expires_at`,
+    [invitation.invitation_id, otpHash, purpose.ttlMinutes]
+  );
+
+  await sendOtpViaSMS(invitation.phone, otpCode, purpose.otpType, {
+    ttlMinutes: purpose.ttlMinutes,
+    label: purpose.label,
+  });
+
+  return { expiresAt: rows[0].otp_expires_at };
+}
+
+/**
+ * Check the phone OTP; every try counts against the purpose's maxAttempts
+ * Returns { valid, reason, attemptsRemaining }
+ */
+async function verifyInvitationOtp(invitationId, otp) {
+  const { maxAttempts } = getOtpPurposeConfig(OTP_TYPE_INVITATION);
+
+  // Count the attempt before comparing, so parallel guesses can't get past the limit
+  const { rows } = await query(
+    `UPDATE public.user_invitations
+        SET otp_attempts = otp_attempts + 1
+      WHERE invitation_id = $1
+        AND otp_hash IS NOT NULL
+        AND otp_attempts < $2
+      RETURNING otp_hash, otp_attempts, otp_expires_at <= NOW() AS otp_expired`,
+    [invitationId, maxAttempts]
+  );
+
+  if (!rows.length) {
+    const { rows: current } = await query(
+      'SELECT otp_hash IS NOT NULL AS has_otp FROM public.user_invitations WHERE invitation_id = $1',
+      [invitationId]
+    );
+    return { valid: false, reason: current[0]?.has_otp ? 'otp_locked' : 'otp_not_found' };
+  }
+
+  const row = rows[0];
+  if (row.otp_expired) return { valid: false, reason: 'otp_expired' };
+
+  if (!otpMatches(otp, row.otp_hash)) {
+    if (row.otp_attempts >= maxAttempts) return { valid: false, reason: 'otp_locked' };
+    return { valid: false, reason: 'otp_mismatch', attemptsRemaining: maxAttempts - row.otp_attempts };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Accept an invitation: check the phone OTP and create the account with the invitee's own
+ * (already validated) password. The invitation is claimed first so a link can only create one
+ * account; if the insert fails (e.g. username taken) the claim is released and the invitee can
+ * retry with the same OTP.
+ * Returns { user } or { error, attemptsRemaining } - error is an OTP reason or 'invitation_unavailable'.
+ * Unique / foreign key violations from the insert are rethrown.
+ */
+export async function acceptInvitation(invitation, { otp, username, password }) {
+  const otpCheck = await verifyInvitationOtp(invitation.invitation_id, otp);
+  if (!otpCheck.valid) {
+    return { error: otpCheck.reason, attemptsRemaining: otpCheck.attemptsRemaining };
+  }
+
+  const { rows: claimed } = await query(
+    `UPDATE public.user_invitations
+        SET accepted_at = NOW()
+      WHERE invitation_id = $1
+        AND ${PENDING_SQL}
+      RETURNING *`,
+    [invitation.invitation_id]
+  );
+  if (!claimed.length) {
+    return { error: 'invitation_unavailable' };
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  let user;
+  try {
+    const { rows } = await query(
+      `INSERT INTO public.users (
+         school_id, branch_id, username, email, phone, password_hash, full_name, role,
+         is_active, email_verified, phone_verified, must_change_password
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, false, true, false)
+       RETURNING user_id, school_id, branch_id, username, email, phone, full_name, role,
+                 is_active, email_verified, phone_verified, created_at, updated_at`,
+      [
+        invitation.school_id,
+        invitation.branch_id,
+        username || invitation.email,
+        invitation.email,
+        invitation.phone,
+        passwordHash,
+        invitation.full_name,
+        invitation.role,
+      ]
+    );
+    user = rows[0];
+  } catch (error) {
+    await query('UPDATE public.user_invitations SET accepted_at = NULL WHERE invitation_id = $1', [
+      invitation.invitation_id,
+    ]);
+    throw error;
+  }
+
+  await query(
+    `UPDATE public.user_invitations
+        SET accepted_user_id = $2, otp_hash = NULL
+      WHERE invitation_id = $1`,
+    [invitation.invitation_id, user.user_id]
+  );
+
+  await recordPasswordHistory(user.user_id, passwordHash, user.school_id);
+
+  return { user };
+}
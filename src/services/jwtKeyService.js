@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { encryptValue, decryptValue } from '../utils/encryption.js';
+
+/**
+ * JWT Key Service
+ * Keystore for asymmetric access-token signing keys (RS256 / ES256)
+ *
+ * Key lifecycle (all times set in the database):
+ * - activates_at: key starts signing. New keys are published in the JWKS prePublishMinutes
+ *   before this so verifiers that cache the JWKS already know them.
+ * - retires_at:   key stops signing (rotationDays after activation)
+ * - expires_at:   key leaves the JWKS (retiredKeyTtlHours after retirement, long enough for
+ *   every token it signed to expire)
+ * Several keys can be valid at once; tokens carry the signing key's id in the `kid` header.
+ */
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+
+// All non-expired keys, reloaded every keyCacheSeconds
+let keyCache = { keys: [], loadedAt: 0 };
+let rotationTimer = null;
+let ensureInFlight = null;
+
+// Unknown kids trigger a reload at most this often (a new key may come from another instance)
+const MIN_RELOAD_INTERVAL_MS = 5000;
+
+/**
+ * RFC 7638 JWK thumbprint, used as kid
+ */
+function getJwkThumbprint(jwk) {
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Generate a key pair for the configured algorithm
+ */
+async function createKeyPair(alg) {
+  if (alg === 'ES256') {
+    return generateKeyPair('ec', { namedCurve: 'P-256' });
+  }
+  return generateKeyPair('rsa', { modulusLength: 2048 });
+}
+
+/**
+ * Load all keys that haven't expired
+ * DB times are turned into offsets from NOW() so server / DB clock and timezone don't matter
+ */
+async function loadKeys() {
+  const { rows } = await query(
+    `SELECT kid, alg, public_jwk, private_key_encrypted,
+            EXTRACT(EPOCH FROM (activates_at - NOW())) * 1000 AS activates_in_ms,
+            EXTRACT(EPOCH FROM (retires_at - NOW())) * 1000 AS retires_in_ms,
+            EXTRACT(EPOCH FROM (expires_at - NOW())) * 1000 AS expires_in_ms
+       FROM public.jwt_signing_keys
+      WHERE expires_at > NOW()
+      ORDER BY activates_at DESC`
+  );
+
+  const now = Date.now();
+  const keys = rows.map((row) => {
+    const publicJwk = JSON.parse(row.public_jwk);
+    return {
+      kid: row.kid,
+      alg: row.alg,
+      publicJwk,
+      publicKey: crypto.createPublicKey({ key: publicJwk, format: 'jwk' }),
+      privateKeyEncrypted: row.private_key_encrypted,
+      activatesAt: now + Number(row.activates_in_ms),
+      retiresAt: now + Number(row.retires_in_ms),
+      expiresAt: now + Number(row.expires_in_ms),
+    };
+  });
+
+  keyCache = { keys, loadedAt: now };
+  return keys;
+}
+
+async function getKeys({ forceReload = false } = {}) {
+  const age = Date.now() - keyCache.loadedAt;
+  if (forceReload || age > config.jwt.keyCacheSeconds * 1000) {
+    return loadKeys();
+  }
+  return keyCache.keys;
+}
+
+/**
+ * Create a new signing key
+ * options.immediate - start signing now (bootstrap) instead of after the pre-publish period
+ */
+export async function rotateSigningKey({ immediate = false } = {}) {
+  const alg = config.jwt.algorithm;
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported JWT_ALGORITHM ${alg}. Use one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  const { publicKey, privateKey } = await createKeyPair(alg);
+  const publicJwk = publicKey.export({ format: 'jwk' });
+  const kid = getJwkThumbprint(publicJwk);
+
+  const privatePem = privateKey.export({ format: 'pem', type: 'pkcs8' });
+  const { prePublishMinutes, rotationDays, retiredKeyTtlHours } = config.jwt;
+  const delayMinutes = immediate ? 0 : prePublishMinutes;
+
+  await query(
+    `INSERT INTO public.jwt_signing_keys
+       (kid, alg, public_jwk, private_key_encrypted, activates_at, retires_at, expires_at)
+     VALUES (
+       $1, $2, $3, $4,
+       NOW() + make_interval(mins => $5::int),
+       NOW() + make_interval(mins => $5::int, days => $6::int),
+       NOW() + make_interval(mins => $5::int, days => $6::int, hours => $7::int)
+     )`,
+    [
+      kid,
+      alg,
+      JSON.stringify({ ...publicJwk, kid, alg, use: 'sig' }),
+      encryptValue(privatePem, config.jwt.keyEncryptionKey),
+      delayMinutes,
+      rotationDays,
+      retiredKeyTtlHours,
+    ]
+  );
+
+  console.log(`JWT signing key ${kid} (${alg}) created, signing ${immediate ? 'now' : `in ${delayMinutes} minutes`}`);
+  await loadKeys();
+
+  return kid;
+}
+
+/**
+ * Make sure a key is signing now and its successor is published before it retires
+ * Runs on startup, on a timer and lazily when no signing key is available.
+ * Concurrent instances may both create a successor - harmless, both are published.
+ */
+export function ensureSigningKeys() {
+  // Requests arriving together share one check instead of each creating a key
+  if (!ensureInFlight) {
+    ensureInFlight = checkSigningKeys().finally(() => {
+      ensureInFlight = null;
+    });
+  }
+  return ensureInFlight;
+}
+
+async function checkSigningKeys() {
+  const keys = await getKeys({ forceReload: true });
+  const now = Date.now();
+
+  const signing = keys.filter((key) => key.activatesAt <= now && key.retiresAt > now);
+  if (!signing.length) {
+    await rotateSigningKey({ immediate: true });
+    return;
+  }
+
+  const latest = keys[0];
+  const prePublishMs = config.jwt.prePublishMinutes * 60 * 1000;
+  if (latest.retiresAt - now <= prePublishMs) {
+    await rotateSigningKey();
+  }
+}
+
+/**
+ * Current signing key: the most recently activated key that hasn't retired
+ * Returns { kid, alg, privateKey }
+ */
+export async function getSigningKey() {
+  const pick = (keys) => {
+    const now = Date.now();
+    return keys.find((key) => key.activatesAt <= now && key.retiresAt > now);
+  };
+
+  let key = pick(await getKeys());
+  if (!key) {
+    await ensureSigningKeys();
+    key = pick(await getKeys());
+  }
+
+  if (!key.privateKey) {
+    key.privateKey = crypto.createPrivateKey(decryptValue(key.privateKeyEncrypted, config.jwt.keyEncryptionKey));
+  }
+
+  return { kid: key.kid, alg: key.alg, privateKey: key.privateKey };
+}
+
+/**
+ * Public key for a kid (or null if unknown / expired)
+ * Returns { kid, alg, publicKey }
+ */
+export async function getVerificationKey(kid) {
+  let key = (await getKeys()).find((k) => k.kid === kid);
+
+  if (!key && Date.now() - keyCache.loadedAt > MIN_RELOAD_INTERVAL_MS) {
+    key = (await getKeys({ forceReload: true })).find((k) => k.kid === kid);
+  }
+
+  if (!key || key.expiresAt <= Date.now()) return null;
+
+  return { kid: key.kid, alg: key.alg, publicKey: key.publicKey };
+}
+
+/**
+ * Public keys for the JWKS endpoint (signing, upcoming and recently retired keys)
+ */
+export async function getPublicJwks() {
+  const now = Date.now();
+  const keys = (await getKeys()).filter((key) => key.expiresAt > now);
+  return { keys: keys.map((key) => key.publicJwk) };
+}
+
+/**
+ * Check keys on startup and then every rotationCheckMinutes
+ */
+export function startKeyRotationSchedule() {
+  if (rotationTimer) return;
+
+  const run = () =>
+    ensureSigningKeys().catch((error) => {
+      console.error('JWT key rotation check failed:', error.message);
+    });
+
+  run();
+  rotationTimer = setInterval(run, config.jwt.rotationCheckMinutes * 60 * 1000);
+  rotationTimer.unref();
+}
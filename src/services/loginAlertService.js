@@ -0,0 +1,94 @@
+import moment from 'moment-timezone';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { EMAIL_LINK_PURPOSES, createEmailLinkToken, buildEmailLinkUrl } from './emailLinkService.js';
+import { sendLoginAlert } from './notificationService.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import { getIpRange } from '../utils/request.js';
+
+/**
+ * Login Alert Service
+ * Compares a login with the user's recent session history and warns them when it comes from a
+ * device or network not seen before. Must run before the new session is stored.
+ */
+
+function getDeviceKey(userAgent) {
+  const { deviceType, os, browser } = parseUserAgent(userAgent);
+  return `${deviceType}|${os || ''}|${browser || ''}`;
+}
+
+/**
+ * Is this login from an unfamiliar device or IP range?
+ * A user with no history yet (first login) is never flagged.
+ * Returns { unfamiliar, reasons } - reasons: new_device, new_ip_range
+ */
+export async function detectUnfamiliarLogin(userId, { ip, userAgent }) {
+  const { rows } = await query(
+    `SELECT ip_address, user_agent
+       FROM public.user_sessions
+      WHERE user_id = $1
+        AND impersonator_user_id IS NULL
+        AND last_activity_at > NOW() - make_interval(days => $2::int)
+      ORDER BY last_activity_at DESC
+      LIMIT 200`,
+    [userId, config.loginAlerts.historyDays]
+  );
+
+  if (!rows.length) {
+    return { unfamiliar: false, reasons: [] };
+  }
+
+  const reasons = [];
+
+  const deviceKey = getDeviceKey(userAgent);
+  if (!rows.some((row) => getDeviceKey(row.user_agent) === deviceKey)) {
+    reasons.push('new_device');
+  }
+
+  const ipRange = getIpRange(ip);
+  if (ipRange && !rows.some((row) => getIpRange(row.ip_address) === ipRange)) {
+    reasons.push('new_ip_range');
+  }
+
+  return { unfamiliar: reasons.length > 0, reasons };
+}
+
+/**
+ * Send the alert with a "this wasn't me" link
+ */
+export async function sendUnfamiliarLoginAlert(user, { ip, userAgent }) {
+  const { ttlMinutes, path } = config.emailLinks.loginAlert;
+  // A later alert must not void the "this wasn't me" link of an earlier, possibly hostile, login
+  const { token } = await createEmailLinkToken(user.user_id, EMAIL_LINK_PURPOSES.LOGIN_ALERT, {
+    ttlMinutes,
+    ip,
+    replacePending: false,
+  });
+
+  await sendLoginAlert(user, {
+    device: parseUserAgent(userAgent).label,
+    ipAddress: ip,
+    loginTime: moment().tz(config.timezone).format('DD MMM YYYY, hh:mm A z'),
+    reportUrl: buildEmailLinkUrl(path, token),
+    ttlMinutes,
+  });
+}
+
+/**
+ * Check a login and, if it is unfamiliar, alert the user in the background
+ * Call before createLoginSession. Never fails the login.
+ */
+export async function alertIfUnfamiliarLogin(user, clientInfo) {
+  if (!config.loginAlerts.enabled) return;
+
+  try {
+    const { unfamiliar } = await detectUnfamiliarLogin(user.user_id, clientInfo);
+    if (!unfamiliar) return;
+
+    sendUnfamiliarLoginAlert(user, clientInfo).catch((error) => {
+      console.error('Login alert send error:', error);
+    });
+  } catch (error) {
+    console.error('Login alert check error:', error);
+  }
+}
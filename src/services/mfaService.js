@@ -0,0 +1,79 @@
+import { config } from '../config/env.js';
+
+/**
+ * MFA Policy Service
+ * Decides which second factors a role may (or must) use at final login
+ */
+
+export const FACTORS = {
+  OTP: 'otp',
+  TOTP: 'totp',
+  RECOVERY_CODE: 'recovery_code',
+  WEBAUTHN: 'webauthn',
+  MAGIC_LINK: 'magic_link',
+  FEDERATED: 'federated',
+  TRUSTED_DEVICE: 'trusted_device',
+};
+
+/**
+ * Get effective second-factor policy for a role
+ */
+export function getMfaPolicy(role) {
+  const rolePolicies = config.mfa.rolePolicies || {};
+  const key = Object.keys(rolePolicies).find(
+    (name) => name.toUpperCase() === String(role || '').toUpperCase()
+  );
+  const rolePolicy = key ? rolePolicies[key] : {};
+
+  return {
+    allowed: rolePolicy.allowed || config.mfa.defaultPolicy.allowed,
+    required: rolePolicy.required || config.mfa.defaultPolicy.required,
+  };
+}
+
+/**
+ * Check whether a role may enrol / use a factor at all
+ */
+export function isFactorPermitted(role, factor) {
+  const policy = getMfaPolicy(role);
+  return policy.allowed.includes(factor) || policy.required.includes(factor);
+}
+
+/**
+ * Decide whether the factor submitted at final login is acceptable
+ * enrolledFactors - factors the user has set up (otp is always available)
+ *
+ * Returns { ok, reason, enrollmentRequired } where enrollmentRequired lists required
+ * factors the user still has to set up. Until then the user may bootstrap with otp.
+ */
+export function checkLoginFactor(role, factor, enrolledFactors) {
+  const policy = getMfaPolicy(role);
+  const enrollmentRequired = policy.required.filter((f) => !enrolledFactors.includes(f));
+
+  if (!enrolledFactors.includes(factor)) {
+    return { ok: false, reason: `${factor}_not_enrolled`, enrollmentRequired };
+  }
+
+  // Recovery codes are the lockout escape hatch - where the role's policy lists them, they stand
+  // in for any other factor
+  if (factor === FACTORS.RECOVERY_CODE) {
+    if (!isFactorPermitted(role, factor)) {
+      return { ok: false, reason: `${factor}_not_allowed`, enrollmentRequired };
+    }
+    return { ok: true, enrollmentRequired };
+  }
+
+  if (policy.required.length && !policy.required.includes(factor)) {
+    const canBootstrap = factor === FACTORS.OTP && enrollmentRequired.length === policy.required.length;
+    if (!canBootstrap) {
+      return { ok: false, reason: `${policy.required.join('_or_')}_required`, enrollmentRequired };
+    }
+    return { ok: true, enrollmentRequired };
+  }
+
+  if (!isFactorPermitted(role, factor)) {
+    return { ok: false, reason: `${factor}_not_allowed`, enrollmentRequired };
+  }
+
+  return { ok: true, enrollmentRequired };
+}
@@ -81,60 +81,244 @@ export async function sendEmail(email, subject, message) {
 
 /**
  * Send OTP via SMS
+ * options.ttlMinutes / options.label come from the OTP purpose config
  */
-export async function sendOtpViaSMS(phone, otpCode, otpType = 'LOGIN') {
-  const message = getOtpMessage(otpCode, otpType);
+export async function sendOtpViaSMS(phone, otpCode, otpType = 'LOGIN', options = {}) {
+  const message = getOtpMessage(otpCode, otpType, options);
   return await sendSMS(phone, message);
 }
 
 /**
  * Send OTP via Email
  */
-export async function sendOtpViaEmail(email, otpCode, otpType = 'LOGIN') {
-  const subject = getOtpSubject(otpType);
-  const message = getOtpEmailBody(otpCode, otpType);
+export async function sendOtpViaEmail(email, otpCode, otpType = 'LOGIN', options = {}) {
+  const subject = getOtpSubject(otpType, options);
+  const message = getOtpEmailBody(otpCode, otpType, options);
   return await sendEmail(email, subject, message);
 }
 
+/**
+ * Send a security notice (e.g. recovery code used, password changed) to every
+ * contact on the user record. Delivery failures are logged, never thrown.
+ */
+export async function sendSecurityNotification(user, subject, message) {
+  const sendPromises = [];
+
+  if (user?.phone) {
+    sendPromises.push(
+      sendSMS(user.phone, message).catch((error) => {
+        console.error(`Failed to send security SMS to ${user.phone}:`, error.message);
+      })
+    );
+  }
+
+  if (user?.email) {
+    sendPromises.push(
+      sendEmail(user.email, subject, getSecurityEmailBody(subject, message)).catch((error) => {
+        console.error(`Failed to send security Email to ${user.email}:`, error.message);
+      })
+    );
+  }
+
+  await Promise.allSettled(sendPromises);
+}
+
+/**
+ * Send a single-use action link (magic login, password reset) by email
+ * A failed send is logged, not thrown: these requests answer the same way whether or not an
+ * account exists, so a delivery error must not turn into a different response
+ */
+export async function sendEmailLink(email, subject, { heading, intro, actionLabel, url, ttlMinutes }) {
+  const message = `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2>${heading}</h2>
+      <p>${intro}</p>
+      <p><a href="${url}" style="display: inline-block; padding: 10px 20px; background: #007bff; color: #fff; text-decoration: none;">${actionLabel}</a></p>
+      <p>This link is valid for ${ttlMinutes} minutes and can only be used once.</p>
+      <p>If you did not request this, please ignore this message.</p>
+    </div>
+  `;
+  try {
+    return await sendEmail(email, subject, message);
+  } catch (error) {
+    console.error(`Failed to send "${subject}" email:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Tell the user about a login from an unfamiliar device / network, with a
+ * "this wasn't me" link (SMS gets the short version)
+ */
+export async function sendLoginAlert(user, { device, ipAddress, loginTime, reportUrl, ttlMinutes }) {
+  const sendPromises = [];
+
+  if (user?.phone) {
+    const message = `New login to your account from ${device} (${ipAddress || 'unknown IP'}). Not you? ${reportUrl}`;
+    sendPromises.push(
+      sendSMS(user.phone, message).catch((error) => {
+        console.error(`Failed to send login alert SMS to ${user.phone}:`, error.message);
+      })
+    );
+  }
+
+  if (user?.email) {
+    const message = `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2>New login to your account</h2>
+      <p>Your account was just signed in to from a device or network we haven't seen before.</p>
+      <ul>
+        <li><strong>Device:</strong> ${device}</li>
+        <li><strong>IP address:</strong> ${ipAddress || 'unknown'}</li>
+        <li><strong>Time:</strong> ${loginTime}</li>
+      </ul>
+      <p>If this was you, you can ignore this message.</p>
+      <p>If it wasn't, secure your account now - this signs you out everywhere and asks you to choose a new password:</p>
+      <p><a href="${reportUrl}" style="display: inline-block; padding: 10px 20px; background: #dc3545; color: #fff; text-decoration: none;">This wasn't me</a></p>
+      <p>This link is valid for ${Math.round(ttlMinutes / 60)} hours.</p>
+    </div>
+  `;
+    sendPromises.push(
+      sendEmail(user.email, 'New login to your account', message).catch((error) => {
+        console.error(`Failed to send login alert Email to ${user.email}:`, error.message);
+      })
+    );
+  }
+
+  await Promise.allSettled(sendPromises);
+}
+
+/**
+ * Send the temporary password of an account created by staff
+ * channels - any of 'sms', 'email'
+ */
+export async function sendTemporaryPassword(user, { password, channels, loginUrl }) {
+  const sendPromises = [];
+
+  if (user?.phone && channels.includes('sms')) {
+    const message = `Your account has been created. Log in with ${user.email} and temporary password ${password} at ${loginUrl}. You will be asked to choose a new password.`;
+    sendPromises.push(
+      sendSMS(user.phone, message).catch((error) => {
+        console.error(`Failed to send temporary password SMS to ${user.phone}:`, error.message);
+      })
+    );
+  }
+
+  if (user?.email && channels.includes('email')) {
+    const message = `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2>Your account is ready</h2>
+      <p>An account has been created for you. Log in with:</p>
+      <ul>
+        <li><strong>Email:</strong> ${user.email}</li>
+        <li><strong>Temporary password:</strong> <span style="font-family: monospace;">${password}</span></li>
+      </ul>
+      <p><a href="${loginUrl}" style="display: inline-block; padding: 10px 20px; background: #007bff; color: #fff; text-decoration: none;">Log in</a></p>
+      <p>You will be asked to choose your own password when you first log in.</p>
+    </div>
+  `;
+    sendPromises.push(
+      sendEmail(user.email, 'Your account is ready', message).catch((error) => {
+        console.error(`Failed to send temporary password Email to ${user.email}:`, error.message);
+      })
+    );
+  }
+
+  await Promise.allSettled(sendPromises);
+}
+
+/**
+ * Send an invitation link (invitation - { full_name, email, phone, role })
+ */
+export async function sendInvitation(invitation, { url, channels, ttlDays }) {
+  const sendPromises = [];
+  const role = String(invitation.role || '').toLowerCase();
+
+  if (invitation?.phone && channels.includes('sms')) {
+    const message = `Hi ${invitation.full_name}, you have been invited to join as a ${role}. Accept the invitation at ${url}. The link expires in ${ttlDays} days.`;
+    sendPromises.push(
+      sendSMS(invitation.phone, message).catch((error) => {
+        console.error(`Failed to send invitation SMS to ${invitation.phone}:`, error.message);
+      })
+    );
+  }
+
+  if (invitation?.email && channels.includes('email')) {
+    const message = `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2>You're invited</h2>
+      <p>Hi ${invitation.full_name}, you have been invited to join as a ${role}.</p>
+      <p>Accept the invitation to confirm your phone number and choose your password.</p>
+      <p><a href="${url}" style="display: inline-block; padding: 10px 20px; background: #007bff; color: #fff; text-decoration: none;">Accept invitation</a></p>
+      <p>This link expires in ${ttlDays} days. If you weren't expecting this invitation, you can ignore this email.</p>
+    </div>
+  `;
+    sendPromises.push(
+      sendEmail(invitation.email, "You're invited", message).catch((error) => {
+        console.error(`Failed to send invitation Email to ${invitation.email}:`, error.message);
+      })
+    );
+  }
+
+  await Promise.allSettled(sendPromises);
+}
+
 /**
  * Get OTP SMS message template
  */
-function getOtpMessage(otpCode, otpType) {
+function getOtpMessage(otpCode, otpType, { ttlMinutes = config.otp.ttlMinutes, label } = {}) {
   const messages = {
-    LOGIN: `Your login OTP is ${otpCode}. Valid for ${config.otp.ttlMinutes} minutes. Do not share this OTP with anyone.`,
-    PASSWORD_RESET: `Your password reset OTP is ${otpCode}. Valid for ${config.otp.ttlMinutes} minutes. Do not share this OTP with anyone.`,
-    VERIFICATION: `Your verification OTP is ${otpCode}. Valid for ${config.otp.ttlMinutes} minutes. Do not share this OTP with anyone.`,
+    LOGIN: `Your login OTP is ${otpCode}. Valid for ${ttlMinutes} minutes. Do not share this OTP with anyone.`,
+    PASSWORD_RESET: `Your password reset OTP is ${otpCode}. Valid for ${ttlMinutes} minutes. Do not share this OTP with anyone.`,
+    VERIFICATION: `Your verification OTP is ${otpCode}. Valid for ${ttlMinutes} minutes. Do not share this OTP with anyone.`,
   };
-  return messages[otpType] || `Your OTP is ${otpCode}. Valid for ${config.otp.ttlMinutes} minutes.`;
+  if (messages[otpType]) return messages[otpType];
+  if (label) return `Your ${label} OTP is ${otpCode}. Valid for ${ttlMinutes} minutes. Do not share this OTP with anyone.`;
+  return `Your OTP is ${otpCode}. Valid for ${ttlMinutes} minutes.`;
 }
 
 /**
  * Get OTP Email subject
  */
-function getOtpSubject(otpType) {
+function getOtpSubject(otpType, { label } = {}) {
   const subjects = {
     LOGIN: 'Your Login OTP',
     PASSWORD_RESET: 'Password Reset OTP',
     VERIFICATION: 'Verification OTP',
   };
-  return subjects[otpType] || 'Your OTP';
+  if (subjects[otpType]) return subjects[otpType];
+  if (label) return `Your ${label.charAt(0).toUpperCase()}${label.slice(1)} OTP`;
+  return 'Your OTP';
 }
 
 /**
  * Get OTP Email body
  */
-function getOtpEmailBody(otpCode, otpType) {
+function getOtpEmailBody(otpCode, otpType, { ttlMinutes = config.otp.ttlMinutes } = {}) {
   return `
     <div style="font-family: Arial, sans-serif; padding: 20px;">
       <h2>Your OTP Code</h2>
       <p>Your OTP code is: <strong style="font-size: 24px; color: #007bff;">${otpCode}</strong></p>
-      <p>This OTP is valid for ${config.otp.ttlMinutes} minutes.</p>
+      <p>This OTP is valid for ${ttlMinutes} minutes.</p>
       <p style="color: #dc3545;"><strong>Important:</strong> Do not share this OTP with anyone.</p>
       <p>If you did not request this OTP, please ignore this message.</p>
     </div>
   `;
 }
 
+/**
+ * Get security notice Email body
+ */
+function getSecurityEmailBody(subject, message) {
+  return `
+    <div style="font-family: Arial, sans-serif; padding: 20px;">
+      <h2>${subject}</h2>
+      <p>${message}</p>
+      <p style="color: #dc3545;">If this wasn't you, contact your administrator immediately.</p>
+    </div>
+  `;
+}
+
 // ============================================
 // SMS Provider Implementations
 // ============================================
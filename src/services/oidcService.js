@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { signJwt } from '../utils/jwt.js';
+
+/**
+ * OIDC Provider Service
+ * Client registry, authorization requests / codes (authorization code flow + PKCE),
+ * ID tokens and scope-based user claims
+ */
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+function parseList(value) {
+  return value ? JSON.parse(value) : [];
+}
+
+function toClient(row) {
+  return {
+    client_id: row.client_id,
+    name: row.name,
+    redirect_uris: parseList(row.redirect_uris),
+    allowed_scopes: parseList(row.allowed_scopes),
+    is_confidential: row.is_confidential,
+    is_active: row.is_active,
+    created_at: row.created_at,
+  };
+}
+
+// ============================================
+// Clients
+// ============================================
+
+/**
+ * Register a relying party
+ * Confidential clients get a secret (returned once, stored hashed); public clients (SPAs,
+ * mobile apps) have none and rely on PKCE alone.
+ * Returns { client, clientSecret }
+ */
+export async function registerClient({ name, redirectUris, allowedScopes, isConfidential, createdBy }) {
+  const clientId = crypto.randomBytes(16).toString('hex');
+  const clientSecret = isConfidential ? crypto.randomBytes(32).toString('base64url') : null;
+  const scopes = allowedScopes?.length ? allowedScopes : config.oidc.scopes;
+
+  const { rows } = await query(
+    `INSERT INTO public.oidc_clients
+       (client_id, client_secret_hash, name, redirect_uris, allowed_scopes, is_confidential, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      clientId,
+      clientSecret ? await hashPassword(clientSecret) : null,
+      name,
+      JSON.stringify(redirectUris),
+      JSON.stringify(scopes),
+      Boolean(isConfidential),
+      createdBy || null,
+    ]
+  );
+
+  return { client: toClient(rows[0]), clientSecret };
+}
+
+/**
+ * List registered clients
+ */
+export async function listClients() {
+  const { rows } = await query(
+    `SELECT * FROM public.oidc_clients ORDER BY created_at DESC`
+  );
+  return rows.map(toClient);
+}
+
+/**
+ * Disable a client (existing codes stop working; issued sessions run out normally)
+ */
+export async function deactivateClient(clientId) {
+  const { rowCount } = await query(
+    `UPDATE public.oidc_clients SET is_active = false WHERE client_id = $1`,
+    [clientId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Get an active client (or null)
+ */
+export async function getActiveClient(clientId) {
+  if (!clientId) return null;
+
+  const { rows } = await query(
+    `SELECT * FROM public.oidc_clients WHERE client_id = $1 AND is_active = true`,
+    [clientId]
+  );
+  if (!rows.length) return null;
+
+  return { ...toClient(rows[0]), secretHash: rows[0].client_secret_hash };
+}
+
+/**
+ * Authenticate a client at the token endpoint
+ * Returns the client, or null if unknown / inactive / wrong secret
+ */
+export async function authenticateClient(clientId, clientSecret) {
+  const client = await getActiveClient(clientId);
+  if (!client) return null;
+
+  if (client.is_confidential) {
+    if (!clientSecret || !(await verifyPassword(clientSecret, client.secretHash))) {
+      return null;
+    }
+  }
+
+  return client;
+}
+
+// ============================================
+// Authorization requests & codes
+// ============================================
+
+/**
+ * Store a validated /authorize request until the user has logged in
+ * Returns the request id handed to the login page
+ */
+export async function createAuthorizationRequest({ clientId, redirectUri, scope, state, nonce, codeChallenge }) {
+  const requestId = crypto.randomBytes(24).toString('base64url');
+
+  await query(
+    `INSERT INTO public.oidc_authorizations
+       (request_id, client_id, redirect_uri, scope, state, nonce, code_challenge, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + make_interval(mins => $8::int))`,
+    [requestId, clientId, redirectUri, scope, state || null, nonce || null, codeChallenge,
+      config.oidc.authorizationTtlMinutes]
+  );
+
+  return requestId;
+}
+
+/**
+ * Get a pending (not yet completed, not expired) authorization request
+ */
+export async function getPendingAuthorization(requestId) {
+  const { rows } = await query(
+    `SELECT a.request_id, a.client_id, a.redirect_uri, a.scope, a.state, c.name AS client_name
+       FROM public.oidc_authorizations a
+       JOIN public.oidc_clients c ON c.client_id = a.client_id
+      WHERE a.request_id = $1
+        AND a.completed_at IS NULL
+        AND a.expires_at > NOW()
+        AND c.is_active = true`,
+    [requestId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * The user has logged in: bind the request to them and issue the authorization code
+ * ip / userAgent are the user's browser - the session created at the token endpoint records
+ * these rather than the client backend that redeems the code.
+ * Returns { code, redirectUri, state } or null if the request is unknown / expired / already used
+ */
+export async function completeAuthorization(requestId, userId, authTime, { ip, userAgent } = {}) {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  const { rows } = await query(
+    `UPDATE public.oidc_authorizations
+        SET user_id = $2,
+            auth_time = $3,
+            code_hash = $4,
+            code_expires_at = NOW() + make_interval(secs => $5::int),
+            completed_at = NOW(),
+            ip_address = $6,
+            user_agent = $7
+      WHERE request_id = $1
+        AND completed_at IS NULL
+        AND expires_at > NOW()
+      RETURNING redirect_uri, state`,
+    [requestId, userId, authTime, hashCode(code), config.oidc.codeTtlSeconds, ip || null, userAgent || null]
+  );
+
+  if (!rows.length) return null;
+
+  return { code, redirectUri: rows[0].redirect_uri, state: rows[0].state };
+}
+
+/**
+ * Check a PKCE code_verifier against the stored S256 challenge
+ */
+function verifyPkce(codeVerifier, codeChallenge) {
+  if (!codeVerifier) return false;
+
+  const expected = Buffer.from(codeChallenge);
+  const actual = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Redeem an authorization code (single use)
+ * Returns { valid, reason, authorization }
+ * A code presented twice is treated as stolen: the result carries the sessionId it produced so
+ * the caller can revoke it
+ */
+export async function exchangeAuthorizationCode({ code, clientId, redirectUri, codeVerifier }) {
+  const { rows } = await query(
+    `UPDATE public.oidc_authorizations
+        SET exchanged_at = NOW()
+      WHERE code_hash = $1
+        AND exchanged_at IS NULL
+      RETURNING request_id, client_id, redirect_uri, scope, nonce, code_challenge, user_id, auth_time,
+                ip_address, user_agent, code_expires_at > NOW() AS code_live`,
+    [hashCode(code || '')]
+  );
+
+  if (!rows.length) {
+    const { rows: used } = await query(
+      `SELECT session_id FROM public.oidc_authorizations WHERE code_hash = $1`,
+      [hashCode(code || '')]
+    );
+    if (used.length) {
+      return { valid: false, reason: 'code_reused', sessionId: used[0].session_id };
+    }
+    return { valid: false, reason: 'code_invalid' };
+  }
+
+  const authorization = rows[0];
+
+  if (!authorization.code_live) return { valid: false, reason: 'code_expired' };
+  if (authorization.client_id !== clientId) return { valid: false, reason: 'client_mismatch' };
+  if (authorization.redirect_uri !== redirectUri) return { valid: false, reason: 'redirect_uri_mismatch' };
+  if (!verifyPkce(codeVerifier, authorization.code_challenge)) return { valid: false, reason: 'pkce_failed' };
+
+  return { valid: true, authorization };
+}
+
+/**
+ * Remember which session a code produced (so a replayed code can revoke it)
+ */
+export async function recordAuthorizationSession(requestId, sessionId) {
+  await query(
+    `UPDATE public.oidc_authorizations SET session_id = $2 WHERE request_id = $1`,
+    [requestId, sessionId]
+  );
+}
+
+// ============================================
+// Tokens & claims
+// ============================================
+
+/**
+ * Standard claims for the granted scopes
+ */
+export function getUserClaims(profile, scopes) {
+  const claims = { sub: String(profile.user_id) };
+
+  if (scopes.includes('profile')) {
+    Object.assign(claims, {
+      name: profile.full_name,
+      preferred_username: profile.username,
+      role: profile.role,
+      school_id: profile.school_id,
+    });
+  }
+
+  if (scopes.includes('email')) {
+    Object.assign(claims, {
+      email: profile.email,
+      email_verified: Boolean(profile.email_verified),
+    });
+  }
+
+  if (scopes.includes('phone')) {
+    Object.assign(claims, {
+      phone_number: profile.phone,
+      phone_number_verified: Boolean(profile.phone_verified),
+    });
+  }
+
+  return claims;
+}
+
+/**
+ * Sign an ID token for a client
+ */
+export async function createIdToken({ profile, clientId, scopes, nonce, authTime, sessionId }) {
+  const { sub, ...claims } = getUserClaims(profile, scopes);
+
+  return signJwt(
+    {
+      ...claims,
+      auth_time: authTime,
+      sid: sessionId,
+      ...(nonce && { nonce }),
+    },
+    {
+      issuer: config.oidc.issuer,
+      audience: clientId,
+      subject: sub,
+      expiresIn: config.oidc.idTokenExpiresIn,
+    }
+  );
+}
+
+/**
+ * Discovery document (/.well-known/openid-configuration)
+ */
+export function getDiscoveryDocument() {
+  const issuer = config.oidc.issuer;
+
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/oauth/authorize`,
+    token_endpoint: `${issuer}/oauth/token`,
+    userinfo_endpoint: `${issuer}/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [config.jwt.algorithm],
+    scopes_supported: config.oidc.scopes,
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [
+      'sub', 'name', 'preferred_username', 'role', 'school_id',
+      'email', 'email_verified', 'phone_number', 'phone_number_verified',
+      'auth_time', 'nonce', 'sid',
+    ],
+  };
+}
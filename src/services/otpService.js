@@ -1,20 +1,87 @@
 import { query } from '../config/db.js';
 import { config } from '../config/env.js';
-import { v4 as uuidv4 } from 'uuid';
+import crypto from 'crypto';
 import moment from 'moment-timezone';
 import { sendOtpViaSMS, sendOtpViaEmail } from './notificationService.js';
 
-function generateOtp() {
-  // 4-digit OTP
-  return Math.floor(1000 + Math.random() * 9000).toString();
+/**
+ * Generate numeric OTP using a CSPRNG
+ */
+function generateOtp(length = config.otp.length) {
+  const min = 10 ** (length - 1);
+  return crypto.randomInt(min, min * 10).toString();
+}
+
+/**
+ * Hash OTP for storage (HMAC so short codes can't be brute-forced from a DB dump)
+ */
+function hashOtp(otpCode) {
+  return crypto
+    .createHmac('sha256', config.otp.hashSecret)
+    .update(String(otpCode).trim())
+    .digest('hex');
+}
+
+/**
+ * Constant-time comparison of a submitted code against the stored hash
+ */
+export function otpMatches(otpCode, storedHash) {
+  const candidate = Buffer.from(hashOtp(otpCode));
+  const stored = Buffer.from(String(storedHash));
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+}
+
+// Purposes registered at runtime (on top of config.otp.purposes)
+const customPurposes = {};
+
+/**
+ * Register a custom OTP purpose (e.g. 'PHONE_CHANGE') or override a built-in one
+ * settings: { length, ttlMinutes, maxAttempts, channels: ['sms', 'email'], label }
+ */
+export function registerOtpPurpose(otpType, settings = {}) {
+  const key = String(otpType).toUpperCase();
+  customPurposes[key] = { ...customPurposes[key], ...settings };
+}
+
+/**
+ * Resolve effective settings for an OTP purpose
+ * Unknown purposes fall back to the global OTP defaults
+ */
+export function getOtpPurposeConfig(otpType = 'LOGIN') {
+  const key = String(otpType).toUpperCase();
+  const settings = { ...config.otp.purposes[key], ...customPurposes[key] };
+
+  return {
+    otpType: key,
+    length: Number(settings.length || config.otp.length),
+    ttlMinutes: Number(settings.ttlMinutes || config.otp.ttlMinutes || 30),
+    maxAttempts: Number(settings.maxAttempts || config.otp.maxAttempts),
+    channels: settings.channels || ['sms', 'email'],
+    label: settings.label || null,
+  };
 }
 
 /**
- * Create OTP for user and send via SMS/Email
+ * Generate a code for a purpose without storing or sending it - for flows that have no user row
+ * yet (invitations keep the hash themselves and check it with otpMatches)
+ * Returns { otpCode, otpHash, purpose }
  */
-export async function createOtpForUser(user, explicitMobile, otpType = 'LOGIN') {
-  const otpCode = generateOtp();
-  const ttl = Number(config.otp.ttlMinutes || 30);
+export function generateDetachedOtp(otpType) {
+  const purpose = getOtpPurposeConfig(otpType);
+  const otpCode = generateOtp(purpose.length);
+  return { otpCode, otpHash: hashOtp(otpCode), purpose };
+}
+
+/**
+ * Create OTP for user and send via the purpose's channels (SMS/Email)
+ * options.ip - requesting client IP, stored with the OTP
+ */
+export async function createOtpForUser(user, explicitMobile, otpType = 'LOGIN', options = {}) {
+  const purpose = getOtpPurposeConfig(otpType);
+  otpType = purpose.otpType;
+
+  const otpCode = generateOtp(purpose.length);
+  const ttl = purpose.ttlMinutes;
 
   const timezone = config.timezone || 'Asia/Kolkata';
   const nowLocal = moment().tz(timezone);
@@ -23,39 +90,51 @@ export async function createOtpForUser(user, explicitMobile, otpType = 'LOGIN')
   const expiresLocal = nowLocal.clone().add(ttl, 'minutes');
 
   // Convert local timezone → UTC DATE OBJECT for Postgres
-  const expiresUTC = expiresLocal.tz('UTC').toDate();
+  const expiresUTC = expiresLocal.clone().tz('UTC').toDate();
 
   const mobile = explicitMobile || user.phone;
   const email = user.email;
 
-  // Insert OTP into database
+  // Invalidate earlier pending codes of the same type - only the newest code is usable
+  await query(
+    `UPDATE users_otps
+        SET is_used = true
+      WHERE user_id = $1
+        AND otp_type = $2
+        AND is_used = false`,
+    [user.user_id, otpType]
+  );
+
+  // Insert OTP into database (only the hash is stored)
   const sql = `
     INSERT INTO users_otps
       (user_id, phone, otp_code, otp_type,
-       expires_at, is_used, attempts_count, email, ip_address)
+       expires_at, is_used, attempts_count, max_attempts, email, ip_address)
     VALUES
       ($1, $2, $3, $4, $5,
-       false, 0, $6, $7)
-    RETURNING *;
+       false, 0, $6, $7, $8)
+    RETURNING otp_id, user_id, otp_type, expires_at, max_attempts, created_at;
   `;
 
   const { rows } = await query(sql, [
     user.user_id,
     mobile,
-    otpCode,
+    hashOtp(otpCode),
     otpType,
     expiresUTC, // store UTC timestamp
+    purpose.maxAttempts,
     email,
-    '127.0.0.1',
+    options.ip || null,
   ]);
 
-  // Send OTP via SMS and/or Email
+  // Send OTP via the channels configured for this purpose
   const sendPromises = [];
+  const templateOptions = { ttlMinutes: ttl, label: purpose.label };
 
   // Send SMS if mobile number is available
-  if (mobile) {
+  if (mobile && purpose.channels.includes('sms')) {
     sendPromises.push(
-      sendOtpViaSMS(mobile, otpCode, otpType).catch((error) => {
+      sendOtpViaSMS(mobile, otpCode, otpType, templateOptions).catch((error) => {
         console.error(`Failed to send OTP SMS to ${mobile}:`, error.message);
         // Don't throw - continue even if SMS fails
       })
@@ -63,9 +142,9 @@ export async function createOtpForUser(user, explicitMobile, otpType = 'LOGIN')
   }
 
   // Send Email if email is available
-  if (email) {
+  if (email && purpose.channels.includes('email')) {
     sendPromises.push(
-      sendOtpViaEmail(email, otpCode, otpType).catch((error) => {
+      sendOtpViaEmail(email, otpCode, otpType, templateOptions).catch((error) => {
         console.error(`Failed to send OTP Email to ${email}:`, error.message);
         // Don't throw - continue even if Email fails
       })
@@ -76,7 +155,7 @@ export async function createOtpForUser(user, explicitMobile, otpType = 'LOGIN')
   await Promise.allSettled(sendPromises);
 
   return {
-    otpCode,
+    otpCode, // plaintext is only returned to the caller, never persisted
     expiresIST: expiresLocal.format('DD/MM/YYYY HH:mm:ss'), // Keep field name for backward compatibility
     expiresLocal: expiresLocal.format('DD/MM/YYYY HH:mm:ss'),
     expiresUTC,
@@ -86,16 +165,24 @@ export async function createOtpForUser(user, explicitMobile, otpType = 'LOGIN')
 
 
 
-// Verify OTP for user
-export async function verifyUserOtp(userId, mobile, otp) {
+/**
+ * Verify OTP for user and purpose
+ * Only the latest code counts; it is consumed atomically on success and
+ * locked once max_attempts wrong codes have been submitted.
+ * Pass mobile = null to match regardless of the phone the code was sent to.
+ */
+export async function verifyUserOtp(userId, mobile, otp, otpType = 'LOGIN') {
+  const purpose = getOtpPurposeConfig(otpType);
+
   const sql = `
-    select otp_id, otp_code, expires_at, is_used
+    select otp_id, otp_code, expires_at, is_used, attempts_count,
+           coalesce(max_attempts, $4) as max_attempts
     from users_otps
-    where user_id=$1 and phone=$2 and otp_type='LOGIN'
+    where user_id=$1 and ($2::text is null or phone=$2) and otp_type=$3
     order by created_at desc limit 1;
   `;
 
-  const { rows } = await query(sql, [userId, mobile]);
+  const { rows } = await query(sql, [userId, mobile || null, purpose.otpType, purpose.maxAttempts]);
   if (!rows.length) return { valid: false, reason: "otp_not_found" };
 
   const row = rows[0];
@@ -104,19 +191,41 @@ export async function verifyUserOtp(userId, mobile, otp) {
   const nowLocal = moment().tz(timezone);
   const expiresLocal = moment(row.expires_at).tz(timezone);
 
-  // console.log("NOW IST       =", nowIST.format("DD/MM/YYYY HH:mm:ss"));
-  // console.log("EXPIRES IST   =", expiresIST.format("DD/MM/YYYY HH:mm:ss"));
-// console.log('otp_code',row.otp_code);
-// console.log('otp',otp);
-
+  if (row.attempts_count >= row.max_attempts) return { valid: false, reason: "otp_locked" };
   if (row.is_used) return { valid: false, reason: "otp_used" };
   if (nowLocal.isAfter(expiresLocal)) return { valid: false, reason: "otp_expired" };
-if (String(row.otp_code).trim() !== String(otp).trim()) {
-  return { valid: false, reason: "otp_mismatch" };
-}
 
-  return { valid: true , otpRow: row };
-}
+  if (!otpMatches(otp, row.otp_code)) {
+    // Count the failure; lock the code when the limit is reached
+    const { rows: failed } = await query(
+      `UPDATE users_otps
+          SET attempts_count = attempts_count + 1,
+              is_used = (attempts_count + 1 >= $2)
+        WHERE otp_id = $1
+          AND is_used = false
+        RETURNING attempts_count;`,
+      [row.otp_id, row.max_attempts]
+    );
 
+    const attempts = failed.length ? failed[0].attempts_count : row.max_attempts;
+    if (attempts >= row.max_attempts) return { valid: false, reason: "otp_locked" };
 
+    return { valid: false, reason: "otp_mismatch", attemptsRemaining: row.max_attempts - attempts };
+  }
 
+  // Consume atomically - a concurrent verification of the same code loses
+  const { rows: consumed } = await query(
+    `UPDATE users_otps
+        SET is_used = true,
+            attempts_count = attempts_count + 1
+      WHERE otp_id = $1
+        AND is_used = false
+        AND attempts_count < $2
+      RETURNING otp_id, user_id, otp_type, expires_at;`,
+    [row.otp_id, row.max_attempts]
+  );
+
+  if (!consumed.length) return { valid: false, reason: "otp_used" };
+
+  return { valid: true, otpRow: consumed[0] };
+}
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { hashPassword, verifyPassword } from '../utils/password.js';
+import { lookupBreachedPassword } from './breachedPasswordService.js';
+
+/**
+ * Password Policy Service
+ * One set of rules for every path that sets a password (registration, change, OTP / email
+ * reset): composition, personal information, known breaches, reuse of recent passwords and
+ * maximum age, plus the temporary passwords given to accounts created by staff. Violations
+ * (and, for breaches in warn mode, warnings) are returned as { code, message, ...details } so
+ * the frontend can show them.
+ */
+
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+// Temporary passwords are read off an SMS or typed from a screen - no look-alike characters
+const TEMPORARY_PASSWORD_CLASSES = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnpqrstuvwxyz',
+  '23456789',
+  '!@#$%*?',
+];
+
+const PERSONAL_FIELD_LABELS = {
+  name: 'name',
+  username: 'username',
+  email: 'email address',
+  phone: 'phone number',
+};
+
+/**
+ * Get the effective policy for a school (default policy + the school's overrides)
+ */
+export function getPasswordPolicy(schoolId) {
+  const schoolPolicies = config.passwordPolicy.schoolPolicies || {};
+  const schoolPolicy = (schoolId !== undefined && schoolId !== null && schoolPolicies[String(schoolId)]) || {};
+
+  return { ...config.passwordPolicy.defaultPolicy, ...schoolPolicy };
+}
+
+/**
+ * Parts of the user's name, username, email and phone that must not appear in the password
+ */
+function getPersonalTokens({ full_name, username, email, phone }) {
+  const tokens = [];
+
+  const addWords = (field, value) => {
+    for (const word of String(value || '').toLowerCase().split(/[^a-z0-9]+/)) {
+      if (word.length >= MIN_PERSONAL_TOKEN_LENGTH) tokens.push({ field, value: word });
+    }
+  };
+
+  addWords('name', full_name);
+  if (username) tokens.push({ field: 'username', value: String(username).toLowerCase() });
+  addWords('username', username);
+
+  const localPart = String(email || '').split('@')[0];
+  if (localPart) tokens.push({ field: 'email', value: localPart.toLowerCase() });
+  addWords('email', localPart);
+
+  // Compare national numbers only - "+91 98765 43210" and "9876543210" are the same phone
+  const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+  if (digits.length >= 6) tokens.push({ field: 'phone', value: digits });
+
+  return tokens.filter((token) => token.value.length >= MIN_PERSONAL_TOKEN_LENGTH);
+}
+
+/**
+ * Check composition and personal-information rules (no database access)
+ * personalInfo - { full_name, username, email, phone } of the account, when known
+ * Returns a list of violations (empty when the password is acceptable)
+ */
+export function checkPasswordRules(password, policy, personalInfo = null) {
+  const value = String(password ?? '');
+  const violations = [];
+
+  if (value.length < policy.minLength) {
+    violations.push({ code: 'too_short', message: `Use at least ${policy.minLength} characters`, min_length: policy.minLength });
+  }
+  if (policy.maxLength && value.length > policy.maxLength) {
+    violations.push({ code: 'too_long', message: `Use at most ${policy.maxLength} characters`, max_length: policy.maxLength });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    violations.push({ code: 'missing_uppercase', message: 'Include an uppercase letter' });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    violations.push({ code: 'missing_lowercase', message: 'Include a lowercase letter' });
+  }
+  if (policy.requireDigit && !/[0-9]/.test(value)) {
+    violations.push({ code: 'missing_digit', message: 'Include a number' });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push({ code: 'missing_symbol', message: 'Include a symbol' });
+  }
+
+  if (policy.disallowPersonalInfo && personalInfo) {
+    const lower = value.toLowerCase();
+    const fields = new Set(
+      getPersonalTokens(personalInfo)
+        .filter((token) => lower.includes(token.value))
+        .map((token) => token.field)
+    );
+    for (const field of fields) {
+      violations.push({ code: 'contains_personal_info', message: `Must not contain your ${PERSONAL_FIELD_LABELS[field]}`, field });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Does the password match the user's current password or one of the last historyCount?
+ */
+async function isRecentPassword(userId, password, historyCount) {
+  if (!historyCount) return false;
+
+  const { rows } = await query(
+    `SELECT password_hash FROM public.user_password_history
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2`,
+    [userId, historyCount]
+  );
+
+  // Accounts from before password history was kept still can't reuse their current password
+  const { rows: current } = await query('SELECT password_hash FROM public.users WHERE user_id = $1', [userId]);
+  const hashes = [...rows, ...current].map((row) => row.password_hash).filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Screen against the offline breach corpus (policy.breachedPasswordCheck: reject / warn / off)
+ * A missing dataset or lookup error lets the password through - screening is best effort
+ */
+async function checkBreachedPassword(password, policy) {
+  if (!['reject', 'warn'].includes(policy.breachedPasswordCheck)) return null;
+
+  try {
+    const { breached, occurrences } = await lookupBreachedPassword(password);
+    if (!breached) return null;
+
+    return {
+      code: 'breached',
+      message: 'This password has appeared in a known data breach',
+      occurrences,
+    };
+  } catch (error) {
+    console.error('Breached password lookup error:', error);
+    return null;
+  }
+}
+
+/**
+ * Check a new password against the school's policy
+ * user - { user_id, school_id, full_name, username, email, phone }; without user_id only the
+ *        rules are checked (new account, or the requester isn't verified yet)
+ * Returns { valid, violations, warnings, policy }
+ */
+export async function validateNewPassword(password, { schoolId, user = null } = {}) {
+  const policy = getPasswordPolicy(schoolId ?? user?.school_id);
+  const violations = checkPasswordRules(password, policy, user);
+  const warnings = [];
+
+  const breach = await checkBreachedPassword(password, policy);
+  if (breach) {
+    (policy.breachedPasswordCheck === 'reject' ? violations : warnings).push(breach);
+  }
+
+  if (user?.user_id && !violations.length && (await isRecentPassword(user.user_id, password, policy.historyCount))) {
+    violations.push({
+      code: 'recently_used',
+      message: `Must not be one of your last ${policy.historyCount} passwords`,
+      history_count: policy.historyCount,
+    });
+  }
+
+  return { valid: violations.length === 0, violations, warnings, policy };
+}
+
+/**
+ * Remember a password hash for the reuse check, keeping only what the policy needs
+ */
+export async function recordPasswordHistory(userId, passwordHash, schoolId) {
+  const { historyCount } = getPasswordPolicy(schoolId);
+
+  await query(
+    `INSERT INTO public.user_password_history (user_id, password_hash) VALUES ($1, $2)`,
+    [userId, passwordHash]
+  );
+
+  await query(
+    `DELETE FROM public.user_password_history
+      WHERE history_id IN (
+        SELECT history_id FROM public.user_password_history
+         WHERE user_id = $1
+         ORDER BY created_at DESC
+        OFFSET $2
+      )`,
+    [userId, historyCount]
+  );
+}
+
+/**
+ * Random password that satisfies the school's composition rules (one character of every class)
+ */
+export function generateTemporaryPassword(schoolId) {
+  const policy = getPasswordPolicy(schoolId);
+  let length = Math.max(config.temporaryPasswords.length, policy.minLength, TEMPORARY_PASSWORD_CLASSES.length);
+  if (policy.maxLength) length = Math.min(length, policy.maxLength);
+
+  const pick = (alphabet) => alphabet[crypto.randomInt(alphabet.length)];
+  const allCharacters = TEMPORARY_PASSWORD_CLASSES.join('');
+
+  const characters = TEMPORARY_PASSWORD_CLASSES.map(pick);
+  while (characters.length < length) {
+    characters.push(pick(allCharacters));
+  }
+
+  // Fisher-Yates, so the guaranteed classes aren't always at the start
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+
+  return characters.join('');
+}
+
+/**
+ * Set a new (already validated) password chosen by the user: stores the hash, restarts the
+ * expiry clock, clears must_change_password and records it in the history.
+ * Not for hash upgrades at login.
+ */
+export async function setUserPassword(user, password) {
+  const passwordHash = await hashPassword(password);
+
+  await query(
+    `UPDATE public.users
+        SET password_hash = $1,
+            password_changed_at = NOW(),
+            must_change_password = false,
+            updated_at = NOW()
+      WHERE user_id = $2`,
+    [passwordHash, user.user_id]
+  );
+
+  await recordPasswordHistory(user.user_id, passwordHash, user.school_id);
+}
+
+/**
+ * Must the user set a new password before using the account?
+ * Returns 'temporary_password' (set by staff), 'password_expired' (older than the school's
+ * maxAgeDays) or null. Every login method checks it (sendLoginSession in authController).
+ */
+export async function getRequiredPasswordChange(userId) {
+  const { rows } = await query(
+    'SELECT school_id, password_changed_at, must_change_password FROM public.users WHERE user_id = $1',
+    [userId]
+  );
+  if (!rows.length) return null;
+
+  if (rows[0].must_change_password) return 'temporary_password';
+
+  const { maxAgeDays } = getPasswordPolicy(rows[0].school_id);
+  if (!maxAgeDays || !rows[0].password_changed_at) return null;
+
+  const expiresAt = new Date(rows[0].password_changed_at).getTime() + maxAgeDays * 24 * 60 * 60 * 1000;
+  return expiresAt <= Date.now() ? 'password_expired' : null;
+}
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+
+/**
+ * Password Ticket Service
+ * Proof that the password was checked in step 1 (validate-credentials), required by final login
+ * so the second factor adds to the password instead of replacing it.
+ *
+ * A ticket is bound to its user, lives for config.passwordTickets.ttlMinutes and works once: final
+ * login checks it before the second factor and uses it up only after the factor succeeds, so a
+ * mistyped code doesn't send the user back to the password step. Only hashes are stored.
+ */
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Issue a ticket after a successful password check; earlier unused tickets of the user stop working
+ * Returns { ticket, expiresAt }
+ */
+export async function issuePasswordTicket(userId, { ip } = {}) {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+
+  await query(
+    `UPDATE public.password_tickets
+        SET used_at = NOW()
+      WHERE user_id = $1
+        AND used_at IS NULL`,
+    [userId]
+  );
+
+  const { rows } = await query(
+    `INSERT INTO public.password_tickets (user_id, ticket_hash, expires_at, ip_address)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3::int), $4)
+     RETURNING expires_at`,
+    [userId, sha256(ticket), config.passwordTickets.ttlMinutes, ip || null]
+  );
+
+  return { ticket, expiresAt: rows[0].expires_at };
+}
+
+/**
+ * Check a ticket for a user without using it up
+ * Returns { valid, reason }
+ */
+export async function verifyPasswordTicket(userId, ticket) {
+  if (!ticket) {
+    return { valid: false, reason: 'ticket_missing' };
+  }
+
+  const { rows } = await query(
+    `SELECT user_id, expires_at, used_at
+       FROM public.password_tickets
+      WHERE ticket_hash = $1`,
+    [sha256(String(ticket || ''))]
+  );
+
+  const row = rows[0];
+  if (!row || String(row.user_id) !== String(userId)) {
+    return { valid: false, reason: 'ticket_not_found' };
+  }
+  if (row.used_at) {
+    return { valid: false, reason: 'ticket_used' };
+  }
+  if (new Date(row.expires_at) <= new Date()) {
+    return { valid: false, reason: 'ticket_expired' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Use up a ticket once the second factor has succeeded
+ * Returns false if a concurrent request got there first (or it expired meanwhile)
+ */
+export async function consumePasswordTicket(userId, ticket) {
+  const { rowCount } = await query(
+    `UPDATE public.password_tickets
+        SET used_at = NOW()
+      WHERE ticket_hash = $1
+        AND user_id = $2
+        AND used_at IS NULL
+        AND expires_at > NOW()`,
+    [sha256(String(ticket || '')), userId]
+  );
+  return rowCount > 0;
+}
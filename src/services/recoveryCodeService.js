@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { sendSecurityNotification } from './notificationService.js';
+
+/**
+ * Recovery Code Service
+ * One-time backup codes that can replace the second factor when the user
+ * has lost access to their phone / authenticator app
+ */
+
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no look-alike characters
+
+/**
+ * Generate a single code formatted as xxxxx-xxxxx
+ */
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < 10; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Normalise user input (case, dashes and spaces are ignored)
+ */
+function normalizeCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash code for storage
+ */
+function hashCode(code) {
+  return crypto
+    .createHmac('sha256', config.otp.hashSecret)
+    .update(normalizeCode(code))
+    .digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes, replacing any existing ones
+ * Returns the plaintext codes - they are shown to the user once and never again
+ */
+export async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: config.recoveryCodes.count }, generateCode);
+
+  await query(`DELETE FROM public.user_recovery_codes WHERE user_id = $1`, [userId]);
+
+  const values = codes.map((_, i) => `($1, $${i + 2})`).join(', ');
+  await query(
+    `INSERT INTO public.user_recovery_codes (user_id, code_hash) VALUES ${values}`,
+    [userId, ...codes.map(hashCode)]
+  );
+
+  return codes;
+}
+
+/**
+ * Count unused recovery codes for a user
+ */
+export async function countRemainingRecoveryCodes(userId) {
+  const { rows } = await query(
+    `SELECT COUNT(*)::int AS remaining
+       FROM public.user_recovery_codes
+      WHERE user_id = $1
+        AND used_at IS NULL`,
+    [userId]
+  );
+  return rows[0].remaining;
+}
+
+/**
+ * Consume a recovery code (single use) and notify the user
+ */
+export async function consumeRecoveryCode(user, code) {
+  if (!normalizeCode(code)) return { valid: false, reason: 'recovery_code_missing' };
+
+  const { rows } = await query(
+    `UPDATE public.user_recovery_codes
+        SET used_at = NOW()
+      WHERE user_id = $1
+        AND code_hash = $2
+        AND used_at IS NULL
+      RETURNING code_id`,
+    [user.user_id, hashCode(code)]
+  );
+
+  if (!rows.length) return { valid: false, reason: 'recovery_code_invalid' };
+
+  const remaining = await countRemainingRecoveryCodes(user.user_id);
+
+  await sendSecurityNotification(
+    user,
+    'Recovery code used',
+    `A recovery code was used to sign in to your account. ${remaining} recovery code(s) remaining.`
+  );
+
+  return { valid: true, remaining };
+}
@@ -2,6 +2,13 @@ import { query } from '../config/db.js';
 import { config } from '../config/env.js';
 import moment from 'moment-timezone';
 import { v4 as uuidv4 } from 'uuid';
+import { createHash, randomBytes } from 'crypto';
+import { createTtlCache } from '../utils/cache.js';
+import { signJwt } from '../utils/jwt.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+
+// Active sessions resolved by authenticate(), keyed by session_id
+const sessionCache = createTtlCache({ ttlMs: config.session.cacheTtlSeconds * 1000 });
 
 /**
  * Generate UUID for session ID
@@ -15,11 +22,21 @@ function cryptoRandomUUID() {
   return uuidv4();
 }
 
+/**
+ * Generate a session id up front (so it can be embedded in the JWT before the row exists)
+ */
+export function generateSessionId() {
+  return cryptoRandomUUID();
+}
+
 /**
  * Create session row in user_sessions table
+ * options.sessionId - use a pre-generated session id (see generateSessionId)
+ * options.ttlMinutes - shorter lifetime than config.session.ttlHours
+ * options.impersonatorId - admin acting as this user (impersonation session)
  */
-export async function createSessionForUser(userId, token, ip, userAgent) {
-  const sessionId = cryptoRandomUUID();
+export async function createSessionForUser(userId, token, ip, userAgent, options = {}) {
+  const sessionId = options.sessionId || cryptoRandomUUID();
   const now = Date.now();
   const utcTime = now;
 
@@ -27,7 +44,7 @@ export async function createSessionForUser(userId, token, ip, userAgent) {
   const timezone = config.timezone || 'Asia/Kolkata';
   const expiresAt = moment(utcTime)
     .tz(timezone)
-    .add(config.session.ttlHours, 'hours')
+    .add(options.ttlMinutes || config.session.ttlHours * 60, 'minutes')
     .format('YYYY-MM-DD HH:mm:ss');
 
   const lastActivity = new Date().toISOString();
@@ -36,11 +53,11 @@ export async function createSessionForUser(userId, token, ip, userAgent) {
     INSERT INTO user_sessions
       (session_id, user_id, jwt_token, device_type,
        ip_address, user_agent, expires_at, last_activity_at,
-       created_at, is_active)
+       created_at, is_active, impersonator_user_id)
     VALUES
-      ($1, $2, $3, 'system',
+      ($1, $2, $3, $9,
        $4, $5, $6, $7,
-       $6, true)
+       $6, true, $8)
     RETURNING *;
   `;
 
@@ -52,11 +69,44 @@ export async function createSessionForUser(userId, token, ip, userAgent) {
     userAgent || null,
     expiresAt,
     lastActivity,
+    options.impersonatorId || null,
+    parseUserAgent(userAgent).deviceType,
   ]);
 
   return { sessionId, expiresAt, dbRow: rows[0] };
 }
 
+/**
+ * Start a logged-in session for a user who has completed authentication:
+ * signs the access token (with session_id claim), stores the session row and
+ * issues the first refresh token. Every login method ends here.
+ * options.claims - extra JWT claims (kept when the token is refreshed)
+ * options.ttlMinutes / impersonatorId - see createSessionForUser
+ */
+export async function createLoginSession(user, { ip, userAgent, claims = {}, ttlMinutes, impersonatorId } = {}) {
+  const sessionId = generateSessionId();
+  const token = await signJwt({
+    user_id: user.user_id,
+    email: user.email,
+    role: user.role,
+    auth_time: Math.floor(Date.now() / 1000), // when the user actually authenticated
+    ...claims,
+    ...(impersonatorId && { impersonator_id: impersonatorId }),
+    session_id: sessionId,
+  });
+
+  const { expiresAt, dbRow } = await createSessionForUser(user.user_id, token, ip, userAgent, {
+    sessionId,
+    ttlMinutes,
+    impersonatorId,
+  });
+
+  // Issue refresh token bound to this session
+  const { refreshToken, expiresAt: refreshExpiresAt } = await issueRefreshToken(sessionId, user.user_id);
+
+  return { sessionId, token, expiresAt, refreshToken, refreshExpiresAt, dbRow };
+}
+
 /**
  * Validate session by session_id
  */
@@ -66,8 +116,12 @@ export async function validateSession(sessionId) {
       session_id,
       user_id,
       jwt_token,
+      ip_address,
+      user_agent,
       expires_at,
-      is_active
+      last_activity_at,
+      is_active,
+      impersonator_user_id
     FROM public.user_sessions
     WHERE session_id = $1;
   `;
@@ -78,19 +132,107 @@ export async function validateSession(sessionId) {
   }
 
   const session = rows[0];
+  const reason = getSessionInvalidReason(session);
+
+  if (reason === 'idle_timeout') {
+    await destroySession(sessionId);
+  }
+
+  if (reason) {
+    return { valid: false, reason };
+  }
+
+  return { valid: true, session };
+}
+
+/**
+ * Check session state - returns the reason it is unusable, or null if it is valid
+ */
+function getSessionInvalidReason(session) {
   const now = new Date();
 
   if (!session.is_active) {
-    return { valid: false, reason: 'inactive' };
+    return 'inactive';
   }
 
   if (new Date(session.expires_at) <= now) {
-    return { valid: false, reason: 'expired' };
+    return 'expired';
+  }
+
+  const idleMinutes = config.session.idleTimeoutMinutes;
+  if (idleMinutes > 0 && session.last_activity_at) {
+    const idleMs = now.getTime() - new Date(session.last_activity_at).getTime();
+    if (idleMs > idleMinutes * 60 * 1000) {
+      return 'idle_timeout';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an active session for request authentication
+ * Served from a short-lived cache; last_activity_at is refreshed (sliding idle timeout)
+ * at most once per config.session.activityUpdateSeconds
+ */
+export async function resolveActiveSession(sessionId) {
+  let session = sessionCache.get(sessionId);
+
+  if (session) {
+    const reason = getSessionInvalidReason(session);
+    if (reason) {
+      sessionCache.delete(sessionId);
+      if (reason === 'idle_timeout') {
+        await destroySession(sessionId);
+      }
+      return { valid: false, reason };
+    }
+  } else {
+    const result = await validateSession(sessionId);
+    if (!result.valid) {
+      return result;
+    }
+    session = result.session;
+    sessionCache.set(sessionId, session);
   }
 
+  await touchSession(session);
+
   return { valid: true, session };
 }
 
+/**
+ * Slide the idle window forward (throttled to avoid a write on every request)
+ */
+async function touchSession(session) {
+  const lastActivity = session.last_activity_at ? new Date(session.last_activity_at).getTime() : 0;
+  if (Date.now() - lastActivity < config.session.activityUpdateSeconds * 1000) {
+    return;
+  }
+
+  await query(
+    `UPDATE public.user_sessions
+        SET last_activity_at = NOW()
+      WHERE session_id = $1`,
+    [session.session_id]
+  );
+  session.last_activity_at = new Date();
+}
+
+/**
+ * Store the latest access token issued for a session
+ */
+export async function updateSessionToken(sessionId, token) {
+  const sql = `
+    UPDATE public.user_sessions
+    SET jwt_token = $2,
+        last_activity_at = NOW()
+    WHERE session_id = $1;
+  `;
+
+  await query(sql, [sessionId, token]);
+}
+
 /**
  * Destroy session by session_id (logout)
  */
@@ -103,17 +245,272 @@ export async function destroySession(sessionId) {
   `;
 
   await query(sql, [sessionId]);
+  sessionCache.delete(sessionId);
+  await revokeRefreshTokensForSession(sessionId);
 }
 
 /**
  * Destroy all sessions for a user (force logout everywhere)
+ * Returns the number of sessions ended
  */
 export async function destroyAllSessionsForUser(userId) {
   const sql = `
     UPDATE public.user_sessions
     SET is_active = false,
         last_activity_at = NOW()
-    WHERE user_id = $1;
+    WHERE user_id = $1
+      AND is_active = true;
   `;
-  await query(sql, [userId]);
+  const { rowCount } = await query(sql, [userId]);
+  sessionCache.removeWhere((session) => String(session.user_id) === String(userId));
+
+  await query(
+    `UPDATE public.user_refresh_tokens
+        SET revoked_at = NOW()
+      WHERE user_id = $1
+        AND revoked_at IS NULL`,
+    [userId]
+  );
+
+  return rowCount;
+}
+
+/**
+ * Active sessions of a user (expired / idle sessions left out), most recently used first
+ */
+export async function listActiveSessionsForUser(userId) {
+  const { rows } = await query(
+    `SELECT session_id, user_id, device_type, ip_address, user_agent, expires_at,
+            last_activity_at, is_active, impersonator_user_id
+       FROM public.user_sessions
+      WHERE user_id = $1
+        AND is_active = true
+      ORDER BY last_activity_at DESC NULLS LAST`,
+    [userId]
+  );
+
+  return rows.filter((session) => !getSessionInvalidReason(session));
+}
+
+/**
+ * Active sessions of every user in a school, most recently used first
+ */
+export async function listActiveSessionsForSchool(schoolId) {
+  const { rows } = await query(
+    `SELECT s.session_id, s.user_id, s.device_type, s.ip_address, s.user_agent, s.expires_at,
+            s.last_activity_at, s.is_active, s.impersonator_user_id,
+            u.full_name, u.email, u.role
+       FROM public.user_sessions s
+       JOIN public.users u ON u.user_id = s.user_id
+      WHERE u.school_id = $1
+        AND s.is_active = true
+      ORDER BY s.last_activity_at DESC NULLS LAST`,
+    [schoolId]
+  );
+
+  return rows.filter((session) => !getSessionInvalidReason(session));
+}
+
+/**
+ * Destroy every session of every user in a school
+ * keepSessionId - the caller's own session, if they belong to the school
+ * exceptRoles - leave the sessions of users with these roles alone
+ * Returns the number of sessions ended
+ */
+export async function destroyAllSessionsForSchool(schoolId, keepSessionId = null, exceptRoles = []) {
+  const { rows } = await query(
+    `UPDATE public.user_sessions s
+        SET is_active = false,
+            last_activity_at = NOW()
+       FROM public.users u
+      WHERE u.user_id = s.user_id
+        AND u.school_id = $1
+        AND s.is_active = true
+        AND ($2::uuid IS NULL OR s.session_id <> $2::uuid)
+        AND NOT (u.role::text = ANY($3::text[]))
+      RETURNING s.session_id`,
+    [schoolId, keepSessionId, exceptRoles]
+  );
+
+  for (const { session_id } of rows) {
+    sessionCache.delete(session_id);
+    await revokeRefreshTokensForSession(session_id);
+  }
+
+  return rows.length;
+}
+
+/**
+ * Destroy one of a user's sessions (only if it belongs to them)
+ * Returns false if there is no such active session
+ */
+export async function destroySessionForUser(userId, sessionId) {
+  const { rowCount } = await query(
+    `SELECT 1 FROM public.user_sessions
+      WHERE session_id = $1
+        AND user_id = $2
+        AND is_active = true`,
+    [sessionId, userId]
+  );
+  if (!rowCount) return false;
+
+  await destroySession(sessionId);
+  return true;
+}
+
+/**
+ * Destroy all of a user's sessions except one ("sign out everywhere else")
+ * Returns the number of sessions ended
+ */
+export async function destroyOtherSessionsForUser(userId, keepSessionId) {
+  const { rows } = await query(
+    `UPDATE public.user_sessions
+        SET is_active = false,
+            last_activity_at = NOW()
+      WHERE user_id = $1
+        AND session_id <> $2
+        AND is_active = true
+      RETURNING session_id`,
+    [userId, keepSessionId]
+  );
+
+  for (const { session_id } of rows) {
+    sessionCache.delete(session_id);
+    await revokeRefreshTokensForSession(session_id);
+  }
+
+  return rows.length;
+}
+
+// ============================================
+// Refresh Tokens
+// ============================================
+
+/**
+ * Hash refresh token for storage (only the hash is persisted)
+ */
+function hashRefreshToken(refreshToken) {
+  return createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Issue a new opaque refresh token bound to a session
+ */
+export async function issueRefreshToken(sessionId, userId) {
+  const refreshToken = randomBytes(48).toString('base64url');
+
+  const timezone = config.timezone || 'Asia/Kolkata';
+  const expiresAt = moment()
+    .tz(timezone)
+    .add(config.refreshToken.ttlHours, 'hours')
+    .format('YYYY-MM-DD HH:mm:ss');
+
+  const sql = `
+    INSERT INTO public.user_refresh_tokens
+      (session_id, user_id, token_hash, expires_at)
+    VALUES
+      ($1, $2, $3, $4)
+    RETURNING token_id;
+  `;
+
+  const { rows } = await query(sql, [
+    sessionId,
+    userId,
+    hashRefreshToken(refreshToken),
+    expiresAt,
+  ]);
+
+  return { refreshToken, tokenId: rows[0].token_id, expiresAt };
+}
+
+/**
+ * Rotate a refresh token: consume the presented token and issue a new one.
+ * Presenting a token that was already rotated is treated as theft and
+ * revokes the whole session family.
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const { rows } = await query(
+    `SELECT token_id, session_id, user_id, expires_at, used_at, revoked_at
+       FROM public.user_refresh_tokens
+      WHERE token_hash = $1`,
+    [hashRefreshToken(refreshToken)]
+  );
+
+  if (!rows.length) {
+    return { valid: false, reason: 'not_found' };
+  }
+
+  const current = rows[0];
+
+  if (current.revoked_at) {
+    return { valid: false, reason: 'revoked' };
+  }
+
+  if (current.used_at) {
+    await revokeSessionFamily(current.session_id);
+    return { valid: false, reason: 'reused' };
+  }
+
+  if (new Date(current.expires_at) <= new Date()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  // Consume atomically - a concurrent rotation of the same token counts as reuse
+  const consumed = await query(
+    `UPDATE public.user_refresh_tokens
+        SET used_at = NOW()
+      WHERE token_id = $1
+        AND used_at IS NULL
+        AND revoked_at IS NULL
+      RETURNING token_id`,
+    [current.token_id]
+  );
+
+  if (!consumed.rows.length) {
+    await revokeSessionFamily(current.session_id);
+    return { valid: false, reason: 'reused' };
+  }
+
+  const sessionResult = await validateSession(current.session_id);
+  if (!sessionResult.valid) {
+    return { valid: false, reason: `session_${sessionResult.reason}` };
+  }
+
+  const next = await issueRefreshToken(current.session_id, current.user_id);
+
+  await query(
+    `UPDATE public.user_refresh_tokens
+        SET replaced_by = $2
+      WHERE token_id = $1`,
+    [current.token_id, next.tokenId]
+  );
+
+  return {
+    valid: true,
+    session: sessionResult.session,
+    refreshToken: next.refreshToken,
+    refreshExpiresAt: next.expiresAt,
+  };
+}
+
+/**
+ * Revoke every refresh token issued for a session
+ */
+export async function revokeRefreshTokensForSession(sessionId) {
+  const sql = `
+    UPDATE public.user_refresh_tokens
+    SET revoked_at = NOW()
+    WHERE session_id = $1
+      AND revoked_at IS NULL;
+  `;
+
+  await query(sql, [sessionId]);
+}
+
+/**
+ * Refresh token reuse detected: kill the session and all of its tokens
+ */
+async function revokeSessionFamily(sessionId) {
+  console.warn(`Refresh token reuse detected - revoking session ${sessionId}`);
+  await destroySession(sessionId);
 }
\ No newline at end of file
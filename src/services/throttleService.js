@@ -0,0 +1,199 @@
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+
+/**
+ * Throttle Service
+ * Brute-force protection for login routes (failed-attempt counters per user and per IP,
+ * progressive delays, temporary lockout) and send quotas for OTP-sending routes.
+ * Counters live in the database so limits hold across server instances.
+ */
+
+const userKey = (userId) => `login:user:${userId}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * Increment a fixed-window counter and return its state
+ * The window restarts once windowMinutes have passed since it started.
+ */
+async function hitCounter(key, windowMinutes) {
+  const { rows } = await query(
+    `INSERT INTO public.auth_throttle (throttle_key, hit_count, window_started_at, last_hit_at)
+     VALUES ($1, 1, NOW(), NOW())
+     ON CONFLICT (throttle_key) DO UPDATE SET
+       hit_count = CASE
+         WHEN auth_throttle.window_started_at < NOW() - make_interval(mins => $2::int) THEN 1
+         ELSE auth_throttle.hit_count + 1
+       END,
+       window_started_at = CASE
+         WHEN auth_throttle.window_started_at < NOW() - make_interval(mins => $2::int) THEN NOW()
+         ELSE auth_throttle.window_started_at
+       END,
+       last_hit_at = NOW()
+     RETURNING hit_count,
+       GREATEST(0, CEIL(EXTRACT(EPOCH FROM (window_started_at + make_interval(mins => $2::int) - NOW()))))::int
+         AS window_remaining_seconds;`,
+    [key, windowMinutes]
+  );
+
+  return rows[0];
+}
+
+/**
+ * Lock a key for the given number of minutes and restart its counter
+ */
+async function lockKey(key, minutes) {
+  await query(
+    `UPDATE public.auth_throttle
+        SET locked_until = NOW() + make_interval(mins => $2::int),
+            hit_count = 0,
+            window_started_at = NOW()
+      WHERE throttle_key = $1`,
+    [key, minutes]
+  );
+}
+
+/**
+ * Progressive delay after n consecutive failures: base * 2^(n-1), capped
+ */
+function getProgressiveDelayMs(failures) {
+  if (failures <= 0) return 0;
+  const { baseDelayMs, maxDelayMs } = config.bruteForce;
+  return Math.min(baseDelayMs * 2 ** (failures - 1), maxDelayMs);
+}
+
+// ============================================
+// Login failures
+// ============================================
+
+/**
+ * Check whether a login attempt may proceed for this user / IP
+ * Returns { allowed, reason, retryAfterSeconds }
+ */
+export async function checkLoginAllowed({ userId, ip }) {
+  const keys = [];
+  if (userId) keys.push(userKey(userId));
+  if (ip) keys.push(ipKey(ip));
+  if (!keys.length) return { allowed: true };
+
+  const { rows } = await query(
+    `SELECT throttle_key,
+            hit_count,
+            window_started_at < NOW() - make_interval(mins => $2::int) AS window_expired,
+            GREATEST(0, CEIL(EXTRACT(EPOCH FROM (locked_until - NOW()))))::int AS lock_remaining_seconds,
+            EXTRACT(EPOCH FROM (NOW() - last_hit_at)) * 1000 AS since_last_ms
+       FROM public.auth_throttle
+      WHERE throttle_key = ANY($1)`,
+    [keys, config.bruteForce.failureWindowMinutes]
+  );
+
+  for (const row of rows) {
+    const isUser = row.throttle_key.startsWith('login:user:');
+
+    if (row.lock_remaining_seconds > 0) {
+      return {
+        allowed: false,
+        reason: isUser ? 'account_locked' : 'ip_blocked',
+        retryAfterSeconds: row.lock_remaining_seconds,
+      };
+    }
+
+    // Progressive delay between consecutive failures
+    const failures = row.window_expired ? 0 : row.hit_count;
+    const delayMs = getProgressiveDelayMs(failures);
+    const waitMs = delayMs - Number(row.since_last_ms);
+    if (waitMs > 0) {
+      return { allowed: false, reason: 'too_many_attempts', retryAfterSeconds: Math.ceil(waitMs / 1000) };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Count an invitation send (new or resent link) against the inviting staff member's quota
+ * Returns { allowed, reason, retryAfterSeconds }
+ */
+export async function consumeInvitationSendQuota(inviterId) {
+  const { perInviter, windowMinutes } = config.invitations.sendQuota;
+
+  const counter = await hitCounter(`invite_send:user:${inviterId}`, windowMinutes);
+  if (counter.hit_count > perInviter) {
+    return { allowed: false, reason: 'invitation_quota_exceeded', retryAfterSeconds: counter.window_remaining_seconds };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Record a failed login attempt; locks the account / blocks the IP once limits are reached
+ */
+export async function recordLoginFailure({ userId, ip }) {
+  const { failureWindowMinutes, maxUserFailures, lockoutMinutes, maxIpFailures, ipBlockMinutes } =
+    config.bruteForce;
+
+  if (userId) {
+    const { hit_count } = await hitCounter(userKey(userId), failureWindowMinutes);
+    if (hit_count >= maxUserFailures) {
+      console.warn(`Account ${userId} locked for ${lockoutMinutes} minutes after ${hit_count} failed attempts`);
+      await lockKey(userKey(userId), lockoutMinutes);
+    }
+  }
+
+  if (ip) {
+    const { hit_count } = await hitCounter(ipKey(ip), failureWindowMinutes);
+    if (hit_count >= maxIpFailures) {
+      console.warn(`IP ${ip} blocked for ${ipBlockMinutes} minutes after ${hit_count} failed attempts`);
+      await lockKey(ipKey(ip), ipBlockMinutes);
+    }
+  }
+}
+
+/**
+ * Successful login clears the user's failure counter (IP counter decays on its own)
+ */
+export async function recordLoginSuccess({ userId }) {
+  if (!userId) return;
+  await clearLoginFailures(userId);
+}
+
+/**
+ * Unlock an account (admin action / successful login)
+ */
+export async function clearLoginFailures(userId) {
+  await query(`DELETE FROM public.auth_throttle WHERE throttle_key = $1`, [userKey(userId)]);
+}
+
+// ============================================
+// OTP send quotas
+// ============================================
+
+/**
+ * Count an OTP (or emailed link) send against the per-phone / per-email and per-IP quotas
+ * Returns { allowed, reason, retryAfterSeconds }
+ */
+export async function consumeOtpSendQuota({ phone, email, ip }) {
+  const { perPhone, perEmail, perIp, windowMinutes } = config.otpSendQuota;
+
+  if (phone) {
+    const counter = await hitCounter(`otp_send:phone:${phone}`, windowMinutes);
+    if (counter.hit_count > perPhone) {
+      return { allowed: false, reason: 'phone_quota_exceeded', retryAfterSeconds: counter.window_remaining_seconds };
+    }
+  }
+
+  if (email) {
+    const counter = await hitCounter(`otp_send:email:${String(email).toLowerCase()}`, windowMinutes);
+    if (counter.hit_count > perEmail) {
+      return { allowed: false, reason: 'email_quota_exceeded', retryAfterSeconds: counter.window_remaining_seconds };
+    }
+  }
+
+  if (ip) {
+    const counter = await hitCounter(`otp_send:ip:${ip}`, windowMinutes);
+    if (counter.hit_count > perIp) {
+      return { allowed: false, reason: 'ip_quota_exceeded', retryAfterSeconds: counter.window_remaining_seconds };
+    }
+  }
+
+  return { allowed: true };
+}
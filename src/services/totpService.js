@@ -0,0 +1,153 @@
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { encryptValue, decryptValue } from '../utils/encryption.js';
+
+/**
+ * TOTP Service
+ * Authenticator-app second factor: enrolment, confirmation, verification and removal
+ */
+
+// ============================================
+// Enrolment
+// ============================================
+
+/**
+ * Get TOTP row for user (or null)
+ */
+async function getTotpRow(userId) {
+  const { rows } = await query(
+    `SELECT user_id, secret_encrypted, is_confirmed, last_used_step, confirmed_at, created_at
+       FROM public.user_totp
+      WHERE user_id = $1`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get enrolment status for user
+ */
+export async function getTotpStatus(userId) {
+  const row = await getTotpRow(userId);
+  return {
+    enabled: Boolean(row?.is_confirmed),
+    pending: Boolean(row && !row.is_confirmed),
+    confirmed_at: row?.confirmed_at || null,
+  };
+}
+
+/**
+ * Check if user has a confirmed TOTP factor
+ */
+export async function isTotpEnabled(userId) {
+  const row = await getTotpRow(userId);
+  return Boolean(row?.is_confirmed);
+}
+
+/**
+ * Start enrolment: generate a new (unconfirmed) secret, replacing any pending one
+ * Returns the secret + otpauth:// URI for the QR code
+ */
+export async function startTotpEnrolment(user) {
+  const existing = await getTotpRow(user.user_id);
+  if (existing?.is_confirmed) {
+    return { started: false, reason: 'already_enabled' };
+  }
+
+  const secret = generateTotpSecret();
+
+  await query(
+    `INSERT INTO public.user_totp (user_id, secret_encrypted, is_confirmed, last_used_step)
+     VALUES ($1, $2, false, NULL)
+     ON CONFLICT (user_id) DO UPDATE
+       SET secret_encrypted = EXCLUDED.secret_encrypted,
+           is_confirmed = false,
+           last_used_step = NULL,
+           confirmed_at = NULL,
+           updated_at = NOW()`,
+    [user.user_id, encryptValue(secret, config.totp.encryptionKey)]
+  );
+
+  const accountName = user.email || user.phone || String(user.user_id);
+
+  return {
+    started: true,
+    secret,
+    otpauthUri: buildOtpauthUri(secret, accountName, config.totp.issuer),
+  };
+}
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ */
+export async function confirmTotpEnrolment(userId, code) {
+  const row = await getTotpRow(userId);
+  if (!row) return { valid: false, reason: 'not_enrolled' };
+  if (row.is_confirmed) return { valid: false, reason: 'already_enabled' };
+
+  const result = await checkCode(row, code);
+  if (!result.valid) return result;
+
+  await query(
+    `UPDATE public.user_totp
+        SET is_confirmed = true,
+            confirmed_at = NOW(),
+            updated_at = NOW()
+      WHERE user_id = $1`,
+    [userId]
+  );
+
+  return { valid: true };
+}
+
+/**
+ * Disable TOTP (requires a current code)
+ */
+export async function disableTotp(userId, code) {
+  const row = await getTotpRow(userId);
+  if (!row?.is_confirmed) return { valid: false, reason: 'not_enabled' };
+
+  const result = await checkCode(row, code);
+  if (!result.valid) return result;
+
+  await query(`DELETE FROM public.user_totp WHERE user_id = $1`, [userId]);
+
+  return { valid: true };
+}
+
+// ============================================
+// Verification
+// ============================================
+
+/**
+ * Verify a TOTP code for login
+ */
+export async function verifyUserTotp(userId, code) {
+  const row = await getTotpRow(userId);
+  if (!row?.is_confirmed) return { valid: false, reason: 'totp_not_enabled' };
+
+  return checkCode(row, code);
+}
+
+/**
+ * Check code against stored secret; each time step can only be used once (replay protection)
+ */
+async function checkCode(row, code) {
+  const step = verifyTotp(decryptValue(row.secret_encrypted, config.totp.encryptionKey), code, { window: config.totp.window });
+  if (step === null) return { valid: false, reason: 'totp_mismatch' };
+
+  const { rows } = await query(
+    `UPDATE public.user_totp
+        SET last_used_step = $2,
+            updated_at = NOW()
+      WHERE user_id = $1
+        AND (last_used_step IS NULL OR last_used_step < $2)
+      RETURNING user_id`,
+    [row.user_id, step]
+  );
+
+  if (!rows.length) return { valid: false, reason: 'totp_used' };
+
+  return { valid: true };
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+
+/**
+ * Trusted Device Service
+ * "Remember this device" tokens: issued after a successful second factor, they let the same
+ * user on the same device skip the OTP step for config.trustedDevices.ttlDays.
+ *
+ * A token is bound to its user and to a device fingerprint (the client-supplied
+ * device_fingerprint plus browser and OS family from the User-Agent). The client controls all
+ * of these, so the binding is best effort: it stops a token copied on its own, not someone who
+ * also replays the fingerprint and User-Agent, and never proves which device sent the request.
+ * The password is still required. Only hashes are stored.
+ */
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Fingerprint hash for the requesting device
+ * Browser / OS versions are left out so routine updates don't break trust
+ */
+export function getDeviceFingerprint(deviceFingerprint, userAgent) {
+  const { browser, os } = parseUserAgent(userAgent);
+  return sha256(`${deviceFingerprint || ''}|${browser || ''}|${os || ''}`);
+}
+
+function toTrustedDevice(row) {
+  return {
+    device_id: row.device_id,
+    label: row.label,
+    ip_address: row.ip_address,
+    expires_at: row.expires_at,
+    last_used_at: row.last_used_at,
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Trust the current device (after a successful OTP / TOTP login)
+ * Keeps at most config.trustedDevices.maxPerUser devices - the oldest are dropped
+ * Returns { token, device }
+ */
+export async function trustDevice(userId, { fingerprint, userAgent, ip }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const { rows } = await query(
+    `INSERT INTO public.trusted_devices
+       (user_id, token_hash, fingerprint_hash, label, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6::int))
+     RETURNING *`,
+    [userId, sha256(token), fingerprint, parseUserAgent(userAgent).label, ip || null,
+      config.trustedDevices.ttlDays]
+  );
+
+  await query(
+    `UPDATE public.trusted_devices
+        SET revoked_at = NOW()
+      WHERE device_id IN (
+        SELECT device_id FROM public.trusted_devices
+         WHERE user_id = $1
+           AND revoked_at IS NULL
+         ORDER BY created_at DESC
+        OFFSET $2
+      )`,
+    [userId, config.trustedDevices.maxPerUser]
+  );
+
+  return { token, device: toTrustedDevice(rows[0]) };
+}
+
+/**
+ * Check a trusted-device token for a user and device
+ * Returns { valid, reason, deviceId }
+ */
+export async function verifyTrustedDevice(userId, token, fingerprint) {
+  const { rows } = await query(
+    `SELECT device_id, user_id, fingerprint_hash, expires_at, revoked_at
+       FROM public.trusted_devices
+      WHERE token_hash = $1`,
+    [sha256(String(token || ''))]
+  );
+
+  const device = rows[0];
+  if (!device || String(device.user_id) !== String(userId)) {
+    return { valid: false, reason: 'not_found' };
+  }
+  if (device.revoked_at) {
+    return { valid: false, reason: 'revoked' };
+  }
+  if (new Date(device.expires_at) <= new Date()) {
+    return { valid: false, reason: 'expired' };
+  }
+  if (device.fingerprint_hash !== fingerprint) {
+    return { valid: false, reason: 'device_mismatch' };
+  }
+
+  await query(
+    `UPDATE public.trusted_devices SET last_used_at = NOW() WHERE device_id = $1`,
+    [device.device_id]
+  );
+
+  return { valid: true, deviceId: device.device_id };
+}
+
+/**
+ * A user's trusted devices (not revoked, not expired)
+ */
+export async function listTrustedDevices(userId) {
+  const { rows } = await query(
+    `SELECT * FROM public.trusted_devices
+      WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND expires_at > NOW()
+      ORDER BY last_used_at DESC NULLS LAST, created_at DESC`,
+    [userId]
+  );
+  return rows.map(toTrustedDevice);
+}
+
+/**
+ * Forget one trusted device
+ */
+export async function revokeTrustedDevice(userId, deviceId) {
+  const { rowCount } = await query(
+    `UPDATE public.trusted_devices
+        SET revoked_at = NOW()
+      WHERE device_id = $1
+        AND user_id = $2
+        AND revoked_at IS NULL`,
+    [deviceId, userId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Forget every trusted device of a user (password change / reset)
+ */
+export async function revokeAllTrustedDevices(userId) {
+  const { rowCount } = await query(
+    `UPDATE public.trusted_devices
+        SET revoked_at = NOW()
+      WHERE user_id = $1
+        AND revoked_at IS NULL`,
+    [userId]
+  );
+  return rowCount;
+}
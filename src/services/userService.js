@@ -1,5 +1,10 @@
 import { query } from '../config/db.js';
 
+// Check if user row is active (is_active may come back as boolean or string)
+export function isUserActive(user) {
+  return Boolean(user) && String(user.is_active).trim() === 'true';
+}
+
 // Get user by email + role
 export async function findUserByEmailAndRole(email, role) {
   const sql = `
@@ -30,3 +35,67 @@ export async function findUserByMobileAndRole(mobile, role) {
   
   return rows[0] || null;
 }
+
+// Get user by phone (any role - phone is unique)
+export async function findUserByPhone(phone) {
+  const sql = `
+    select user_id, email, phone, role, password_hash, is_active
+    from users
+    where phone = $1
+    limit 1;
+  `;
+  const { rows } = await query(sql, [phone]);
+
+  return rows[0] || null;
+}
+
+// Find user by email (any role - emails are unique)
+export async function findUserByEmail(email) {
+  const sql = `
+    select user_id, email, phone, role, password_hash, is_active
+    from users
+    where lower(email) = lower($1)
+    limit 1;
+  `;
+  const { rows } = await query(sql, [email]);
+
+  return rows[0] || null;
+}
+
+// Replace stored password hash for a user
+export async function updateUserPasswordHash(userId, passwordHash) {
+  const sql = `
+    update users
+    set password_hash = $1,
+        updated_at = now()
+    where user_id = $2;
+  `;
+  await query(sql, [passwordHash, userId]);
+}
+
+// Get user by id
+export async function findUserById(userId) {
+  const sql = `
+    select user_id, email, phone, role, password_hash, is_active
+    from users
+    where user_id = $1
+    limit 1;
+  `;
+  const { rows } = await query(sql, [userId]);
+
+  return rows[0] || null;
+}
+
+// Get profile fields used for OpenID Connect claims
+export async function findUserProfileById(userId) {
+  const sql = `
+    select user_id, school_id, username, full_name, email, email_verified,
+           phone, phone_verified, role, is_active
+    from users
+    where user_id = $1
+    limit 1;
+  `;
+  const { rows } = await query(sql, [userId]);
+
+  return rows[0] || null;
+}
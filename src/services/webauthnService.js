@@ -0,0 +1,273 @@
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import moment from 'moment-timezone';
+import { query } from '../config/db.js';
+import { config } from '../config/env.js';
+
+/**
+ * WebAuthn Service
+ * Passkey registration / authentication ceremonies and per-user credential storage
+ */
+
+const CEREMONY_REGISTRATION = 'registration';
+const CEREMONY_AUTHENTICATION = 'authentication';
+
+// ============================================
+// Challenges
+// ============================================
+
+/**
+ * Store a challenge so it can be checked (once) when the ceremony completes
+ */
+async function storeChallenge(challenge, ceremony, userId) {
+  const timezone = config.timezone || 'Asia/Kolkata';
+  const expiresAt = moment()
+    .tz(timezone)
+    .add(config.webauthn.challengeTtlMinutes, 'minutes')
+    .format('YYYY-MM-DD HH:mm:ss');
+
+  await query(
+    `INSERT INTO public.webauthn_challenges (challenge, user_id, ceremony, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [challenge, userId || null, ceremony, expiresAt]
+  );
+}
+
+/**
+ * Consume a challenge returned by the browser
+ * Returns the stored row, or null if unknown / expired / already used / wrong ceremony
+ */
+async function consumeChallenge(challenge, ceremony) {
+  const { rows } = await query(
+    `UPDATE public.webauthn_challenges
+        SET used_at = NOW()
+      WHERE challenge = $1
+        AND ceremony = $2
+        AND used_at IS NULL
+      RETURNING challenge, user_id, expires_at`,
+    [challenge, ceremony]
+  );
+
+  if (!rows.length) return null;
+  if (new Date(rows[0].expires_at) <= new Date()) return null;
+
+  return rows[0];
+}
+
+// ============================================
+// Credentials
+// ============================================
+
+function toCredential(row) {
+  return {
+    id: row.credential_id,
+    publicKey: new Uint8Array(Buffer.from(row.public_key, 'base64url')),
+    counter: Number(row.counter),
+    transports: row.transports ? JSON.parse(row.transports) : undefined,
+  };
+}
+
+/**
+ * List passkeys registered by a user
+ */
+export async function listCredentials(userId) {
+  const { rows } = await query(
+    `SELECT credential_id, name, device_type, backed_up, transports, created_at, last_used_at
+       FROM public.webauthn_credentials
+      WHERE user_id = $1
+      ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows;
+}
+
+/**
+ * Delete one of the user's passkeys
+ */
+export async function deleteCredential(userId, credentialId) {
+  const { rowCount } = await query(
+    `DELETE FROM public.webauthn_credentials
+      WHERE user_id = $1
+        AND credential_id = $2`,
+    [userId, credentialId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Delete every passkey of a user (account secured after a reported login)
+ * Returns the number deleted
+ */
+export async function deleteAllCredentials(userId) {
+  const { rowCount } = await query('DELETE FROM public.webauthn_credentials WHERE user_id = $1', [userId]);
+  return rowCount;
+}
+
+// ============================================
+// Registration ceremony
+// ============================================
+
+/**
+ * STEP 1: Options for navigator.credentials.create()
+ */
+export async function createRegistrationOptions(user) {
+  const existing = await listCredentials(user.user_id);
+
+  const options = await generateRegistrationOptions({
+    rpName: config.webauthn.rpName,
+    rpID: config.webauthn.rpId,
+    userName: user.email || user.phone || String(user.user_id),
+    userID: new TextEncoder().encode(String(user.user_id)),
+    attestationType: 'none',
+    excludeCredentials: existing.map((row) => ({
+      id: row.credential_id,
+      transports: row.transports ? JSON.parse(row.transports) : undefined,
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: config.webauthn.userVerification,
+    },
+  });
+
+  await storeChallenge(options.challenge, CEREMONY_REGISTRATION, user.user_id);
+
+  return options;
+}
+
+/**
+ * STEP 2: Verify attestation and store the new credential
+ */
+export async function verifyRegistration(user, response, name) {
+  let challengeRow = null;
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: async (challenge) => {
+        challengeRow = await consumeChallenge(challenge, CEREMONY_REGISTRATION);
+        return Boolean(challengeRow) && String(challengeRow.user_id) === String(user.user_id);
+      },
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+      requireUserVerification: config.webauthn.userVerification === 'required',
+    });
+  } catch (error) {
+    console.error('WebAuthn registration verification error:', error.message);
+    return { valid: false, reason: 'verification_failed' };
+  }
+
+  if (!verification.verified) {
+    return { valid: false, reason: 'verification_failed' };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  await query(
+    `INSERT INTO public.webauthn_credentials
+       (credential_id, user_id, public_key, counter, transports, device_type, backed_up, name)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      credential.id,
+      user.user_id,
+      Buffer.from(credential.publicKey).toString('base64url'),
+      credential.counter,
+      credential.transports ? JSON.stringify(credential.transports) : null,
+      credentialDeviceType,
+      credentialBackedUp,
+      name || null,
+    ]
+  );
+
+  return { valid: true, credentialId: credential.id };
+}
+
+// ============================================
+// Authentication ceremony
+// ============================================
+
+/**
+ * STEP 1: Options for navigator.credentials.get()
+ * With a user: only that user's credentials are allowed. Without: discoverable (usernameless) login.
+ */
+export async function createAuthenticationOptions(user = null) {
+  const allowCredentials = user
+    ? (await listCredentials(user.user_id)).map((row) => ({
+        id: row.credential_id,
+        transports: row.transports ? JSON.parse(row.transports) : undefined,
+      }))
+    : [];
+
+  const options = await generateAuthenticationOptions({
+    rpID: config.webauthn.rpId,
+    allowCredentials,
+    userVerification: config.webauthn.userVerification,
+  });
+
+  await storeChallenge(options.challenge, CEREMONY_AUTHENTICATION, user?.user_id);
+
+  return options;
+}
+
+/**
+ * STEP 2: Verify assertion
+ * Returns { valid, reason, userId }
+ */
+export async function verifyAuthentication(response) {
+  if (!response?.id) {
+    return { valid: false, reason: 'credential_missing' };
+  }
+
+  const { rows } = await query(
+    `SELECT credential_id, user_id, public_key, counter, transports
+       FROM public.webauthn_credentials
+      WHERE credential_id = $1`,
+    [response.id]
+  );
+
+  if (!rows.length) {
+    return { valid: false, reason: 'credential_not_found' };
+  }
+
+  const stored = rows[0];
+  let challengeRow = null;
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: async (challenge) => {
+        challengeRow = await consumeChallenge(challenge, CEREMONY_AUTHENTICATION);
+        // A challenge issued for a specific user can only be answered by that user's credential
+        return Boolean(challengeRow) &&
+          (!challengeRow.user_id || String(challengeRow.user_id) === String(stored.user_id));
+      },
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpId,
+      credential: toCredential(stored),
+      requireUserVerification: config.webauthn.userVerification === 'required',
+    });
+  } catch (error) {
+    console.error('WebAuthn authentication verification error:', error.message);
+    return { valid: false, reason: 'verification_failed' };
+  }
+
+  if (!verification.verified) {
+    return { valid: false, reason: 'verification_failed' };
+  }
+
+  // Persist signature counter (cloned-authenticator detection is done by the library)
+  await query(
+    `UPDATE public.webauthn_credentials
+        SET counter = $2,
+            last_used_at = NOW()
+      WHERE credential_id = $1`,
+    [stored.credential_id, verification.authenticationInfo.newCounter]
+  );
+
+  return { valid: true, userId: stored.user_id };
+}
@@ -0,0 +1,57 @@
+/**
+ * In-Memory Cache Utility
+ * Small per-process TTL cache used to avoid a DB round-trip on hot paths
+ */
+
+/**
+ * Create a TTL cache
+ * Entries expire after ttlMs; oldest entries are evicted past maxEntries
+ */
+export function createTtlCache({ ttlMs = 30000, maxEntries = 10000 } = {}) {
+  const store = new Map();
+
+  function get(key) {
+    const entry = store.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  function set(key, value) {
+    if (ttlMs <= 0) return;
+
+    store.delete(key);
+    if (store.size >= maxEntries) {
+      // Map keeps insertion order - first key is the oldest
+      store.delete(store.keys().next().value);
+    }
+
+    store.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  function remove(key) {
+    store.delete(key);
+  }
+
+  /**
+   * Remove every entry whose value matches the predicate
+   */
+  function removeWhere(predicate) {
+    for (const [key, entry] of store) {
+      if (predicate(entry.value, key)) {
+        store.delete(key);
+      }
+    }
+  }
+
+  function clear() {
+    store.clear();
+  }
+
+  return { get, set, delete: remove, removeWhere, clear };
+}
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+/**
+ * Encryption Utilities
+ * AES-256-GCM for secrets stored at rest (TOTP secrets, signing keys).
+ * The key is any string from config; it is stretched to 32 bytes with SHA-256.
+ */
+
+function deriveKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Encrypt a UTF-8 string
+ * Format: iv.tag.ciphertext (base64url)
+ */
+export function encryptValue(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map((part) => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a value produced by encryptValue (throws if it was tampered with or the key is wrong)
+ */
+export function decryptValue(payload, key) {
+  const [iv, tag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
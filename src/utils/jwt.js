@@ -1,15 +1,53 @@
 import jwt from 'jsonwebtoken';
 import { config } from '../config/env.js';
+import { getSigningKey, getVerificationKey } from '../services/jwtKeyService.js';
 
-export function signJwt(payload) {
-  return jwt.sign(payload, config.jwt.secret, {
+/**
+ * Sign a token with the current keystore key (kid in the header)
+ * options - extra jsonwebtoken sign options (audience, issuer, expiresIn ...)
+ */
+export async function signJwt(payload, options = {}) {
+  const { kid, alg, privateKey } = await getSigningKey();
+
+  return jwt.sign(payload, privateKey, {
+    algorithm: alg,
+    keyid: kid,
     expiresIn: config.jwt.expiresIn,
+    ...options,
   });
 }
 
-export function verifyJwt(token) {
+/**
+ * Read a token's payload WITHOUT verifying it - only for tokens we issued and stored ourselves
+ */
+export function decodeJwt(token) {
+  return jwt.decode(token) || null;
+}
+
+/**
+ * Verify a token against the keystore key named in its kid header
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure
+ */
+export async function verifyJwtOrThrow(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw new jwt.JsonWebTokenError('missing kid');
+  }
+
+  const key = await getVerificationKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown kid');
+  }
+
+  return jwt.verify(token, key.publicKey, { algorithms: [key.alg] });
+}
+
+/**
+ * Verify a token, returning the payload or null
+ */
+export async function verifyJwt(token) {
   try {
-    return jwt.verify(token, config.jwt.secret);
+    return await verifyJwtOrThrow(token);
   } catch {
     return null;
   }
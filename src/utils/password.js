@@ -0,0 +1,162 @@
+/**
+ * Password Hashing Utility Functions
+ * Single place for hashing, verifying and upgrading stored password hashes
+ */
+
+import bcrypt from 'bcrypt';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { config } from '../config/env.js';
+
+const scryptAsync = promisify(crypto.scrypt);
+
+const SCRYPT_PREFIX = '$scrypt$';
+const SCRYPT_KEY_LENGTH = 64;
+const SHA256_HEX_PATTERN = /^[a-f0-9]{64}$/i;
+
+/**
+ * Detect the format of a stored password hash
+ * Returns one of: bcrypt, scrypt, sha256 (legacy), plain (legacy), or null when empty
+ */
+export function detectHashType(storedHash) {
+  if (!storedHash) return null;
+
+  if (storedHash.startsWith('$2a$') || storedHash.startsWith('$2b$') || storedHash.startsWith('$2y$')) {
+    return 'bcrypt';
+  }
+
+  if (storedHash.startsWith(SCRYPT_PREFIX)) {
+    return 'scrypt';
+  }
+
+  if (SHA256_HEX_PATTERN.test(storedHash)) {
+    return 'sha256';
+  }
+
+  return 'plain';
+}
+
+/**
+ * Hash a password using the configured algorithm (bcrypt or scrypt)
+ */
+export async function hashPassword(plainPassword) {
+  const algorithm = (config.password.algorithm || 'bcrypt').toLowerCase();
+
+  if (algorithm === 'scrypt') {
+    const { cost, blockSize, parallelization } = config.password.scrypt;
+    const salt = crypto.randomBytes(16);
+    const derived = await scryptAsync(plainPassword, salt, SCRYPT_KEY_LENGTH, {
+      N: cost,
+      r: blockSize,
+      p: parallelization,
+      maxmem: 256 * cost * blockSize,
+    });
+
+    // Format: $scrypt$N=16384,r=8,p=1$<salt>$<hash>
+    return `${SCRYPT_PREFIX}N=${cost},r=${blockSize},p=${parallelization}$${salt.toString('base64')}$${derived.toString('base64')}`;
+  }
+
+  return bcrypt.hash(plainPassword, config.password.bcryptRounds);
+}
+
+/**
+ * Verify a password against a stored hash
+ * Understands bcrypt, scrypt and the legacy SHA-256 / plain text formats
+ */
+export async function verifyPassword(plainPassword, storedHash) {
+  if (plainPassword === undefined || plainPassword === null || !storedHash) {
+    return false;
+  }
+
+  const candidate = String(plainPassword);
+
+  try {
+    switch (detectHashType(storedHash)) {
+      case 'bcrypt':
+        return await bcrypt.compare(candidate, storedHash);
+
+      case 'scrypt':
+        return await verifyScrypt(candidate, storedHash);
+
+      case 'sha256': {
+        const candidateHash = crypto.createHash('sha256').update(candidate).digest('hex');
+        return safeEqual(candidateHash, storedHash.toLowerCase());
+      }
+
+      case 'plain':
+      default:
+        return safeEqual(candidate, storedHash);
+    }
+  } catch (error) {
+    console.error('Password verification error:', error);
+    return false;
+  }
+}
+
+/**
+ * Check whether a stored hash should be replaced with a fresh one
+ * (legacy format, different algorithm, or weaker cost than configured)
+ */
+export function needsRehash(storedHash) {
+  const type = detectHashType(storedHash);
+  const algorithm = (config.password.algorithm || 'bcrypt').toLowerCase();
+
+  if (type !== algorithm) return true;
+
+  if (type === 'bcrypt') {
+    return bcrypt.getRounds(storedHash) < config.password.bcryptRounds;
+  }
+
+  const params = parseScryptParams(storedHash);
+  if (!params) return true;
+
+  const { cost, blockSize, parallelization } = config.password.scrypt;
+  return params.N < cost || params.r < blockSize || params.p < parallelization;
+}
+
+/**
+ * Parse the parameters segment of a scrypt hash
+ */
+function parseScryptParams(storedHash) {
+  const parts = storedHash.slice(SCRYPT_PREFIX.length).split('$');
+  if (parts.length !== 3) return null;
+
+  const params = Object.fromEntries(
+    parts[0].split(',').map((pair) => {
+      const [key, value] = pair.split('=');
+      return [key, Number(value)];
+    })
+  );
+
+  if (!params.N || !params.r || !params.p) return null;
+
+  return { ...params, salt: parts[1], hash: parts[2] };
+}
+
+/**
+ * Verify a password against a scrypt hash
+ */
+async function verifyScrypt(plainPassword, storedHash) {
+  const params = parseScryptParams(storedHash);
+  if (!params) return false;
+
+  const expected = Buffer.from(params.hash, 'base64');
+  const derived = await scryptAsync(plainPassword, Buffer.from(params.salt, 'base64'), expected.length, {
+    N: params.N,
+    r: params.r,
+    p: params.p,
+    maxmem: 256 * params.N * params.r,
+  });
+
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
@@ -39,3 +39,20 @@ export function getClientInfo(req) {
   };
 }
 
+
+/**
+ * Network an IP belongs to, for "have we seen this place before" checks
+ * IPv4 → /24 (e.g. 203.0.113.0/24), IPv6 → /48
+ */
+export function getIpRange(ip) {
+  if (!ip) return null;
+
+  if (ip.includes(':')) {
+    const groups = ip.split('::')[0].split(':');
+    return `${groups.slice(0, 3).join(':')}::/48`;
+  }
+
+  const octets = ip.split('.');
+  if (octets.length !== 4) return ip;
+  return `${octets.slice(0, 3).join('.')}.0/24`;
+}
@@ -32,6 +32,16 @@ export function errorResponse(res, statusCode = 400, message, error = null) {
   return res.status(statusCode).json(response);
 }
 
+export function tooManyRequestsResponse(res, message, retryAfterSeconds) {
+  res.set('Retry-After', String(retryAfterSeconds));
+
+  return res.status(429).json({
+    status: 429,
+    message,
+    retry_after: retryAfterSeconds,
+  });
+}
+
 export function validationErrorResponse(res, message, errors = []) {
   return res.status(400).json({
     status: 400,
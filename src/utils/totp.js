@@ -0,0 +1,130 @@
+/**
+ * TOTP Utility Functions
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, compatible with authenticator apps)
+ */
+
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ */
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret (base32, 160 bits as recommended by RFC 4226)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the time step counter for a timestamp
+ */
+export function getTimeStep(timestampMs = Date.now(), period = 30) {
+  return Math.floor(timestampMs / 1000 / period);
+}
+
+/**
+ * Generate the TOTP code for a given time step
+ */
+export function generateTotp(secret, step = getTimeStep(), digits = 6) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Verify a TOTP code allowing +/- window steps of clock drift
+ * Returns the matched time step (for replay protection) or null
+ */
+export function verifyTotp(secret, code, { window = 1, period = 30, digits = 6, timestampMs = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== digits) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestampMs, period);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step, digits);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// provisioning URI (rendered as a QR code by the client)
+ */
+export function buildOtpauthUri(secret, accountName, issuer, { digits = 6, period = 30 } = {}) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
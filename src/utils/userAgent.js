@@ -0,0 +1,68 @@
+/**
+ * User-Agent Parsing
+ * Just enough to label sessions for users ("Chrome on Android") - not for feature detection
+ */
+
+// Order matters: more specific tokens first (Edge and Opera also say Chrome, Chrome also says Safari)
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+  ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+  ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+  ['Safari', /Version\/([\d.]+).*Safari\//],
+  ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+  ['Android', /Android ([\d.]+)/],
+  ['Windows', /Windows NT ([\d.]+)/],
+  ['macOS', /Mac OS X ([\d_.]+)/],
+  ['Chrome OS', /CrOS \S+ ([\d.]+)/],
+  ['Linux', /Linux()/],
+];
+
+const WINDOWS_VERSIONS = { '10.0': '10/11', '6.3': '8.1', '6.2': '8', '6.1': '7' };
+
+function matchFirst(list, userAgent) {
+  for (const [name, pattern] of list) {
+    const match = pattern.exec(userAgent);
+    if (match) return { name, version: (match[1] || '').replace(/_/g, '.') || null };
+  }
+  return null;
+}
+
+function getDeviceType(userAgent) {
+  if (/bot|crawler|spider|curl|wget|python-requests|axios|postman/i.test(userAgent)) return 'bot';
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android.*Mobile|Windows Phone/i.test(userAgent)) return 'mobile';
+  if (/Windows NT|Macintosh|X11|CrOS/.test(userAgent)) return 'desktop';
+  return 'unknown';
+}
+
+/**
+ * Parse a User-Agent header
+ * Returns { deviceType, os, osVersion, browser, browserVersion, label }
+ * deviceType - desktop, mobile, tablet, bot or unknown
+ */
+export function parseUserAgent(userAgent) {
+  const ua = String(userAgent || '');
+  const os = matchFirst(OPERATING_SYSTEMS, ua);
+  const browser = matchFirst(BROWSERS, ua);
+
+  let osVersion = os?.version || null;
+  if (os?.name === 'Windows') osVersion = WINDOWS_VERSIONS[osVersion] || osVersion;
+
+  const browserName = browser?.name || null;
+  const osName = os?.name || null;
+
+  return {
+    deviceType: ua ? getDeviceType(ua) : 'unknown',
+    os: osName,
+    osVersion,
+    browser: browserName,
+    browserVersion: browser?.version?.split('.')[0] || null,
+    label: [browserName, osName].filter(Boolean).join(' on ') || 'Unknown device',
+  };
+}
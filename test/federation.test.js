@@ -0,0 +1,150 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startMockIdp } from './support/mockIdp.js';
+
+/**
+ * Federated login against the mock IdP: start -> IdP authorize -> callback, as a browser would.
+ * There is no database here; the few statements of this path are answered from memory.
+ */
+
+const teacher = { user_id: 'user-1', email: 'teacher@school.edu', phone: '9000000001', role: 'TEACHER', is_active: true };
+const federatedLogins = new Map();
+
+let idp;
+let server;
+let baseUrl;
+
+function fakeQuery(text, params = []) {
+  const sql = text.replace(/\s+/g, ' ');
+  const result = (rows = [], rowCount = rows.length) => Promise.resolve({ rows, rowCount });
+
+  if (/public\.auth_throttle/.test(sql)) {
+    return result(/RETURNING/.test(sql) ? [{ hit_count: 1, window_remaining_seconds: 600 }] : []);
+  }
+  if (/INSERT INTO public\.federated_logins/.test(sql)) {
+    const [state, provider, nonce, code_verifier, role] = params;
+    federatedLogins.set(state, { state, provider, nonce, code_verifier, role, callback_at: null });
+    return result([], 1);
+  }
+  if (/UPDATE public\.federated_logins SET callback_at/.test(sql)) {
+    const login = federatedLogins.get(params[0]);
+    if (!login || login.provider !== params[1] || login.callback_at) return result();
+    login.callback_at = new Date();
+    return result([login]);
+  }
+  if (/UPDATE public\.federated_logins SET user_id/.test(sql)) {
+    Object.assign(federatedLogins.get(params[0]), { user_id: params[1], ticket_hash: params[2] });
+    return result([], 1);
+  }
+  if (/SELECT user_id FROM public\.user_identities/.test(sql)) {
+    return result();
+  }
+  if (/public\.user_identities/.test(sql)) {
+    return result([], 1);
+  }
+  if (/from users where lower\(email\)/i.test(sql)) {
+    return result(String(params[0]).toLowerCase() === teacher.email ? [teacher] : []);
+  }
+
+  return Promise.reject(new Error(`Unexpected query in federation test: ${sql}`));
+}
+
+before(async () => {
+  idp = await startMockIdp({ clientId: 'school-app' });
+
+  // Config is read on import, so the app's port (its callback URL) has to be known first
+  server = http.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.JWT_SECRET ||= 'test-secret';
+  process.env.OIDC_ISSUER = baseUrl;
+  process.env.FEDERATION_COMPLETE_URL = 'http://frontend.test/login/federated';
+  process.env.FEDERATION_PROVIDERS = JSON.stringify({
+    mock: { label: 'Mock IdP', issuer: idp.issuer, clientId: idp.clientId },
+  });
+
+  const { pool } = await import('../src/config/db.js');
+  pool.query = fakeQuery;
+
+  const { default: app } = await import('../src/app.js');
+  server.on('request', app);
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await idp.close();
+});
+
+/**
+ * Start a login and let the IdP authenticate: returns the state cookie and the callback URL
+ */
+async function startLogin() {
+  const start = await fetch(`${baseUrl}/api/auth/federated/mock/start?role=TEACHER`, { redirect: 'manual' });
+  assert.equal(start.status, 302);
+
+  const setCookie = start.headers.get('set-cookie');
+  const authorize = await fetch(start.headers.get('location'), { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+
+  return { setCookie, cookie: setCookie.split(';')[0], callbackUrl: authorize.headers.get('location') };
+}
+
+/**
+ * Hit the callback (optionally with a cookie) and return the query of the frontend redirect
+ */
+async function finishLogin(callbackUrl, cookie) {
+  const response = await fetch(callbackUrl, { redirect: 'manual', headers: cookie ? { cookie } : {} });
+  assert.equal(response.status, 302);
+  return new URL(response.headers.get('location')).searchParams;
+}
+
+test('the state cookie is HttpOnly, SameSite=Lax and scoped to the federated routes', async () => {
+  const { setCookie } = await startLogin();
+
+  assert.match(setCookie, /^federated_login_state=/);
+  assert.match(setCookie, /HttpOnly/i);
+  assert.match(setCookie, /SameSite=Lax/i);
+  assert.match(setCookie, /Path=\/api\/auth\/federated/);
+});
+
+test('a login finishes in the browser that started it', async () => {
+  const { cookie, callbackUrl } = await startLogin();
+
+  const result = await finishLogin(callbackUrl, cookie);
+  assert.equal(result.get('error'), null);
+  assert.ok(result.get('ticket'));
+});
+
+test('a callback from another browser is rejected (login CSRF)', async () => {
+  const attacker = await startLogin();
+  const victim = await startLogin();
+
+  assert.equal((await finishLogin(attacker.callbackUrl)).get('error'), 'state_invalid');
+  assert.equal((await finishLogin(attacker.callbackUrl, victim.cookie)).get('error'), 'state_invalid');
+
+  // Only the browser that started the login can use its state
+  assert.ok((await finishLogin(attacker.callbackUrl, attacker.cookie)).get('ticket'));
+});
+
+test('an ID token with another nonce is rejected', async () => {
+  idp.nonceOverride = 'some-other-nonce';
+  try {
+    const { cookie, callbackUrl } = await startLogin();
+    assert.equal((await finishLogin(callbackUrl, cookie)).get('error'), 'idp_token_invalid');
+  } finally {
+    idp.nonceOverride = null;
+  }
+});
+
+test('an identity without a matching account is not linked', async () => {
+  const user = idp.user;
+  idp.user = { ...user, sub: 'mock-user-2', email: 'stranger@school.edu' };
+  try {
+    const { cookie, callbackUrl } = await startLogin();
+    assert.equal((await finishLogin(callbackUrl, cookie)).get('error'), 'no_matching_account');
+  } finally {
+    idp.user = user;
+  }
+});
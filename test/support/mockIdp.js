@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import { pathToFileURL } from 'url';
+
+/**
+ * Mock OpenID Connect identity provider for federated login
+ * Discovery, authorize (logs in `user` straight away - no login page), token (checks the
+ * redirect URI and PKCE) and JWKS endpoints, with ID tokens signed by a fresh RSA key.
+ *
+ * Tests: const idp = await startMockIdp({ clientId }); idp.user = { sub, email, ... }
+ * By hand: node test/support/mockIdp.js - prints the FEDERATION_PROVIDERS entry to use
+ */
+
+export async function startMockIdp({ clientId = 'mock-client', port = 0 } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+  const codes = new Map();
+
+  const idp = {
+    issuer: null,
+    clientId,
+    // Who the next authorize request logs in as
+    user: { sub: 'mock-user-1', email: 'teacher@school.edu', email_verified: true, name: 'Mock Teacher' },
+    // Set to send a different nonce in the ID token (replay / mix-up tests)
+    nonceOverride: null,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) =>
+    new Promise((resolve) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => resolve(new URLSearchParams(body)));
+    });
+
+  const handleToken = async (req, res) => {
+    const body = await readBody(req);
+    const grant = codes.get(body.get('code'));
+    codes.delete(body.get('code'));
+
+    const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (!grant || body.get('client_id') !== clientId || body.get('redirect_uri') !== grant.redirectUri || challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.user, nonce: idp.nonceOverride || grant.nonce },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer: idp.issuer, audience: clientId, expiresIn: '5m' }
+    );
+    return sendJson(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, idp.issuer);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: idp.issuer,
+        authorization_endpoint: `${idp.issuer}/authorize`,
+        token_endpoint: `${idp.issuer}/token`,
+        jwks_uri: `${idp.issuer}/jwks`,
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [jwk] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const params = url.searchParams;
+      if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('base64url');
+      codes.set(code, {
+        user: { ...idp.user },
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return handleToken(req, res);
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(port, '127.0.0.1', resolve));
+  idp.issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return idp;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const idp = await startMockIdp({ port: Number(process.env.MOCK_IDP_PORT || 4010) });
+  console.log(`Mock IdP listening on ${idp.issuer}, logging in as ${idp.user.email}`);
+  console.log(`FEDERATION_PROVIDERS={"mock":{"label":"Mock IdP","issuer":"${idp.issuer}","clientId":"${idp.clientId}"}}`);
+}